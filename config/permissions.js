@@ -0,0 +1,65 @@
+/*
+ * Admin roles and what each may do. Routes declare the permission they
+ * need with requirePermission (middleware/auth.js); owners can do anything.
+ */
+export const ADMIN_ROLES = ['owner', 'manager', 'catalog_editor', 'order_operator', 'viewer'];
+
+// Every permission a route can ask for
+export const PERMISSIONS = [
+    'dashboard:view',
+    'products:view',
+    'products:edit',
+    'coupons:view',
+    'coupons:edit',
+    'banners:edit',
+    'apk:upload',
+    'orders:view',
+    'orders:update',
+    'orders:delete',
+    'returns:view',
+    'returns:review',
+    'refunds:view',
+    'refunds:manage',
+    'payments:verify',
+    'reconciliation:view',
+    'reconciliation:manage',
+    'reports:view',
+    'jobs:view',
+    'jobs:run',
+    'settings:edit',
+    // Where customer money goes: merchant UPI IDs, secret, matching
+    'settings:payment',
+    'admins:manage'
+];
+
+const VIEW_PERMISSIONS = PERMISSIONS.filter(permission => permission.endsWith(':view'));
+
+export const ROLE_PERMISSIONS = {
+    owner: PERMISSIONS,
+    manager: PERMISSIONS.filter(permission => !['settings:payment', 'admins:manage'].includes(permission)),
+    catalog_editor: [
+        'dashboard:view',
+        'products:view',
+        'products:edit',
+        'coupons:view',
+        'coupons:edit',
+        'banners:edit'
+    ],
+    order_operator: [
+        'dashboard:view',
+        'products:view',
+        'orders:view',
+        'orders:update',
+        'returns:view',
+        'returns:review',
+        'refunds:view'
+    ],
+    viewer: VIEW_PERMISSIONS
+};
+
+// Admins created before roles existed were all full-access
+export const adminRole = (admin) => admin.role || 'owner';
+
+export const permissionsOf = (admin) => ROLE_PERMISSIONS[adminRole(admin)] || [];
+
+export const hasPermission = (admin, permission) => permissionsOf(admin).includes(permission);
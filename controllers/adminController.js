@@ -1,15 +1,24 @@
-import jwt from 'jsonwebtoken';
 import Product from '../models/Product.js';
 import Admin from '../models/Admin.js';
 import { deleteImage, deleteMultipleImages } from '../config/cloudinary.js';
 import generateId from '../utils/generateId.js';
-
-// Generate JWT token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE
-    });
-};
+import { adminRole, permissionsOf } from '../config/permissions.js';
+import {
+    startAdminSession,
+    refreshAdminSession,
+    revokeAdminSession,
+    revokeAdminSessions,
+    listAdminSessions
+} from '../utils/adminSessions.js';
+import { verifySecondFactor, isTwoFactorRequired } from '../utils/adminTwoFactor.js';
+import { generateTwoFactorToken, verifyTwoFactorToken } from '../middleware/auth.js';
+import {
+    checkLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures,
+    comparePasswordForUnknownUser,
+    recordLoginEvent
+} from '../utils/loginThrottle.js';
 
 // @desc    Admin login
 // @route   POST /api/admin/login
@@ -18,71 +27,313 @@ const adminLogin = async (req, res) => {
     try {
         const { username, password } = req.body;
 
-        console.log('🔍 Login attempt for username:', username);
-
-        if (!username || !password) {
+        if (typeof username !== 'string' || typeof password !== 'string' || !username.trim() || !password) {
             return res.status(400).json({
                 success: false,
                 message: 'Username and password are required'
             });
         }
 
-        const admin = await Admin.findOne({ username }).select('+password');
+        const name = username.trim();
 
-        console.log('🔍 Admin found in DB:', admin ? 'YES' : 'NO');
+        const check = await checkLoginAllowed({ username: name, ip: req.ip });
+        if (!check.allowed) {
+            await recordLoginEvent({ username: name, outcome: check.reason, req });
+            return sendLoginThrottled(res, check);
+        }
 
-        if (!admin || !admin.isActive) {
-            console.log('❌ Admin not found or inactive');
+        const admin = await Admin.findOne({ username: name }).select('+password');
+
+        const isMatch = admin
+            ? await admin.comparePassword(password)
+            : await comparePasswordForUnknownUser(password);
+
+        // Unknown, wrong password and deactivated all look the same from outside
+        if (!isMatch || !admin.isActive) {
+            await recordLoginFailure({ username: name, ip: req.ip });
+            await recordLoginEvent({ username: name, admin, outcome: 'invalid_credentials', req });
+            console.warn(`⚠️ Failed admin login from ${req.ip}`);
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        const isMatch = await admin.comparePassword(password);
-        console.log('🔍 Password match result:', isMatch);
+        await clearLoginFailures(name);
+
+        // The password alone is not enough; the 2FA step finishes the login
+        if (admin.twoFactor?.enabled) {
+            await recordLoginEvent({ admin, outcome: '2fa_required', req });
+            return res.status(200).json({
+                success: true,
+                twoFactorRequired: true,
+                twoFactorToken: generateTwoFactorToken(admin._id),
+                message: 'Enter the code from your authenticator app'
+            });
+        }
+
+        await completeLogin(admin, req, res);
+    } catch (error) {
+        console.error('❌ Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed',
+            error: error.message
+        });
+    }
+};
+
+// Too many recent failures for this username or IP
+const sendLoginThrottled = (res, { reason, retryAfter }) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: reason === 'locked'
+            ? `Too many failed logins. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+            : `Too many failed logins. Wait ${retryAfter} second(s) before trying again.`,
+        retryAfter
+    });
+};
+
+// @desc    Second login step for admins with 2FA: a TOTP code or a recovery code
+// @route   POST /api/admin/login/2fa
+// @access  Public (2FA token from /login)
+const adminLoginTwoFactor = async (req, res) => {
+    try {
+        const { twoFactorToken, code, recoveryCode } = req.body;
+        const adminId = verifyTwoFactorToken(twoFactorToken);
+
+        if (!adminId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login step expired. Please log in again.'
+            });
+        }
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Authentication code or recovery code is required'
+            });
+        }
+
+        const admin = await Admin.findById(adminId);
 
-        if (!isMatch) {
-            console.log('❌ Password comparison failed');
+        if (!admin || !admin.isActive) {
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        await admin.updateLastLogin();
-        const token = generateToken(admin._id);
+        const check = await checkLoginAllowed({ username: admin.username, ip: req.ip });
+        if (!check.allowed) {
+            await recordLoginEvent({ admin, outcome: check.reason, req });
+            return sendLoginThrottled(res, check);
+        }
+
+        let factor;
+        try {
+            factor = await verifySecondFactor(admin._id, { code, recoveryCode });
+        } catch (error) {
+            if (error.status === 401) {
+                await recordLoginFailure({ username: admin.username, ip: req.ip });
+                await recordLoginEvent({ admin, outcome: '2fa_failed', req });
+            } else if (error.status === 429) {
+                await recordLoginEvent({ admin, outcome: 'locked', req });
+            }
+            throw error;
+        }
+
+        if (factor.method === 'recovery_code') {
+            console.warn(`⚠️ Admin ${admin.username} logged in with a recovery code (${factor.recoveryCodesLeft} left)`);
+        }
+
+        await completeLogin(admin, req, res, factor.method === 'recovery_code'
+            ? { recoveryCodesLeft: factor.recoveryCodesLeft }
+            : {});
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('❌ 2FA login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed',
+            error: error.message
+        });
+    }
+};
+
+// Start a session for an admin who passed every login step
+const completeLogin = async (admin, req, res, extra = {}) => {
+    await admin.updateLastLogin();
+    const { accessToken, refreshToken, expiresIn } = await startAdminSession(admin, req);
+    const twoFactorSetupRequired = !admin.twoFactor?.enabled && await isTwoFactorRequired();
+
+    await recordLoginEvent({ admin, outcome: 'success', req });
+    console.log('✅ Login successful for:', admin.username);
+
+    res.status(200).json({
+        success: true,
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        ...extra,
+        admin: {
+            id: admin._id,
+            username: admin.username,
+            email: admin.email,
+            name: admin.name,
+            role: adminRole(admin),
+            permissions: permissionsOf(admin),
+            mustChangePassword: admin.mustChangePassword,
+            twoFactorEnabled: Boolean(admin.twoFactor?.enabled),
+            twoFactorSetupRequired
+        }
+    });
+};
+
+// @desc    Swap a refresh token for a new access token and refresh token
+// @route   POST /api/admin/refresh
+// @access  Public (refresh token)
+const refreshAdminToken = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
 
-        console.log('✅ Login successful for:', username);
+        const tokens = await refreshAdminSession(refreshToken, req);
 
         res.status(200).json({
             success: true,
-            token,
-            admin: {
-                id: admin._id,
-                username: admin.username,
-                email: admin.email,
-                name: admin.name
-            }
+            token: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn
         });
     } catch (error) {
-        console.error('❌ Login error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('❌ Token refresh error:', error);
         res.status(500).json({
             success: false,
-            message: 'Login failed',
+            message: 'Token refresh failed',
             error: error.message
         });
     }
 };
 
-// @desc    Admin logout
+// @desc    Admin logout (ends this session)
 // @route   POST /api/admin/logout
 // @access  Private
 const adminLogout = async (req, res) => {
-    res.status(200).json({
-        success: true,
-        message: 'Logged out successfully'
-    });
+    try {
+        await revokeAdminSession(req.adminSession._id, req.admin._id, 'logout');
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Logout failed',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Log out every session of the current admin, this one included
+// @route   POST /api/admin/logout-all
+// @access  Private
+const adminLogoutAll = async (req, res) => {
+    try {
+        const ended = await revokeAdminSessions(req.admin._id, 'logout_all');
+
+        console.log(`🔒 ${req.admin.username} logged out of ${ended} session(s)`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out of all sessions',
+            sessionsEnded: ended
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Logout failed',
+            error: error.message
+        });
+    }
+};
+
+// @desc    List the current admin's active sessions
+// @route   GET /api/admin/sessions
+// @access  Private
+const getAdminSessions = async (req, res) => {
+    try {
+        const sessions = await listAdminSessions(req.admin._id);
+
+        res.status(200).json({
+            success: true,
+            data: sessions.map(session => ({
+                id: session._id,
+                device: session.device,
+                ip: session.ip,
+                lastUsedAt: session.lastUsedAt,
+                createdAt: session.createdAt,
+                expiresAt: session.expiresAt,
+                current: session._id.equals(req.adminSession._id)
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching sessions',
+            error: error.message
+        });
+    }
+};
+
+// @desc    End one of the current admin's sessions
+// @route   DELETE /api/admin/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+    try {
+        const ended = /^[0-9a-fA-F]{24}$/.test(req.params.id)
+            && await revokeAdminSession(req.params.id, req.admin._id, 'logout');
+
+        if (!ended) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session ended'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error ending session',
+            error: error.message
+        });
+    }
 };
 
 // @desc    Get admin profile
@@ -94,7 +345,11 @@ const getAdminProfile = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: admin
+            data: {
+                ...admin.toObject(),
+                role: adminRole(admin),
+                permissions: permissionsOf(admin)
+            }
         });
     } catch (error) {
         res.status(500).json({
@@ -549,7 +804,12 @@ const updateProductRating = async (req, res) => {
 
 export {
     adminLogin,
+    adminLoginTwoFactor,
+    refreshAdminToken,
     adminLogout,
+    adminLogoutAll,
+    getAdminSessions,
+    revokeSession,
     getAdminProfile,
     createProduct,
     getAdminProducts,
@@ -0,0 +1,512 @@
+import crypto from 'crypto';
+import Admin from '../models/Admin.js';
+import AdminLoginEvent, { LOGIN_OUTCOMES } from '../models/AdminLoginEvent.js';
+import { generateToken } from '../middleware/auth.js';
+import { ADMIN_ROLES, adminRole, permissionsOf } from '../config/permissions.js';
+import { revokeAdminSessions } from '../utils/adminSessions.js';
+import { disableTwoFactor } from '../utils/adminTwoFactor.js';
+
+const ADMIN_FIELDS = 'username email name role isActive mustChangePassword twoFactor.enabled createdBy lastLogin loginCount createdAt updatedAt';
+
+// Shown once to whoever created or reset the account; the admin must replace it at first login
+const generateTemporaryPassword = () => crypto.randomBytes(9).toString('base64url');
+
+// Mirrors the Admin model's minlength, checked before the value reaches the hash hook
+const PASSWORD_MIN_LENGTH = 6;
+const PASSWORD_RULE = `Password must be text of at least ${PASSWORD_MIN_LENGTH} characters`;
+
+const isValidPassword = (password) => typeof password === 'string' && password.length >= PASSWORD_MIN_LENGTH;
+
+const toAdminSummary = (admin) => ({
+    id: admin._id,
+    username: admin.username,
+    email: admin.email,
+    name: admin.name,
+    role: adminRole(admin),
+    isActive: admin.isActive,
+    mustChangePassword: admin.mustChangePassword,
+    twoFactorEnabled: Boolean(admin.twoFactor?.enabled),
+    createdBy: admin.createdBy,
+    lastLogin: admin.lastLogin,
+    createdAt: admin.createdAt
+});
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+/*
+ * Load another admin for a management action. Admins cannot act on their
+ * own account here, which also means the owner doing it is always left,
+ * so an install can never lose its last owner this way.
+ */
+const findOtherAdmin = async (req, res, select = '') => {
+    if (req.params.id === req.admin._id.toString()) {
+        res.status(400).json({
+            success: false,
+            message: 'You cannot do this to your own account'
+        });
+        return null;
+    }
+
+    const admin = /^[0-9a-fA-F]{24}$/.test(req.params.id)
+        ? await Admin.findById(req.params.id).select(select)
+        : null;
+
+    if (!admin) {
+        res.status(404).json({
+            success: false,
+            message: 'Admin not found'
+        });
+        return null;
+    }
+
+    return admin;
+};
+
+// Paginated login history for a query
+const sendLoginHistory = async (req, res, query) => {
+    try {
+        const { outcome, page = 1, limit = 50 } = req.query;
+
+        if (outcome) {
+            if (!LOGIN_OUTCOMES.includes(outcome)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Outcome must be one of: ${LOGIN_OUTCOMES.join(', ')}`
+                });
+            }
+            query.outcome = outcome;
+        }
+
+        const events = await AdminLoginEvent.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .select('-__v -updatedAt');
+
+        const total = await AdminLoginEvent.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: events,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching login history',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Login history of all admins, including attempts on unknown usernames
+ * @route   GET /api/admin/login-history?username&ip&outcome
+ * @access  Private (admins:manage)
+ */
+export const getLoginHistory = (req, res) => {
+    const { username, ip } = req.query;
+
+    return sendLoginHistory(req, res, {
+        ...(typeof username === 'string' && { username }),
+        ...(typeof ip === 'string' && { ip })
+    });
+};
+
+/**
+ * @desc    The current admin's own login history
+ * @route   GET /api/admin/login-history/me?outcome
+ * @access  Private (any admin)
+ */
+export const getMyLoginHistory = (req, res) => sendLoginHistory(req, res, { adminId: req.admin._id });
+
+/**
+ * @desc    List admins
+ * @route   GET /api/admin/admins
+ * @access  Private (admins:manage)
+ */
+export const getAdmins = async (req, res) => {
+    try {
+        const { role, isActive, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (role) query.role = role;
+        if (isActive !== undefined) query.isActive = isActive === 'true';
+
+        const admins = await Admin.find(query)
+            .sort({ createdAt: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .select(ADMIN_FIELDS);
+
+        const total = await Admin.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: admins.map(toAdminSummary),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching admins',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create an admin. Without a password, a temporary one is generated
+ *          and returned once; either way the admin must change it on first login.
+ * @route   POST /api/admin/admins
+ * @access  Private (admins:manage)
+ */
+export const createAdmin = async (req, res) => {
+    try {
+        const { username, email, name, role, password } = req.body;
+
+        if (!username || !email || !name || !role) {
+            return res.status(400).json({
+                success: false,
+                message: 'Username, email, name and role are required'
+            });
+        }
+
+        if (!ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${ADMIN_ROLES.join(', ')}`
+            });
+        }
+
+        if (password !== undefined && !isValidPassword(password)) {
+            return res.status(400).json({
+                success: false,
+                message: PASSWORD_RULE
+            });
+        }
+
+        const temporaryPassword = password ?? generateTemporaryPassword();
+
+        const admin = await Admin.create({
+            username,
+            email,
+            name,
+            role,
+            password: temporaryPassword,
+            mustChangePassword: true,
+            createdBy: req.admin.username
+        });
+
+        console.log(`👤 ${req.admin.username} created admin ${admin.username} (${role})`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Admin created successfully',
+            data: {
+                ...toAdminSummary(admin),
+                ...(!password && { temporaryPassword })
+            }
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'An admin with this username or email already exists'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage(error)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error creating admin',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Change an admin's role
+ * @route   PUT /api/admin/admins/:id/role
+ * @access  Private (admins:manage)
+ */
+export const updateAdminRole = async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${ADMIN_ROLES.join(', ')}`
+            });
+        }
+
+        const admin = await findOtherAdmin(req, res);
+        if (!admin) return;
+
+        const previousRole = adminRole(admin);
+        admin.role = role;
+        await admin.save();
+
+        console.log(`🔑 ${req.admin.username} changed ${admin.username}'s role: ${previousRole} → ${role}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Role updated successfully',
+            data: {
+                ...toAdminSummary(admin),
+                permissions: permissionsOf(admin)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating role',
+            error: error.message
+        });
+    }
+};
+
+// Deactivating also ends the admin's sessions, so they are out straight away
+const setAdminActive = (isActive) => async (req, res) => {
+    try {
+        const admin = await findOtherAdmin(req, res);
+        if (!admin) return;
+
+        if (admin.isActive === isActive) {
+            return res.status(400).json({
+                success: false,
+                message: `Admin is already ${isActive ? 'active' : 'deactivated'}`
+            });
+        }
+
+        admin.isActive = isActive;
+        await admin.save();
+
+        if (!isActive) {
+            await revokeAdminSessions(admin._id, 'deactivated');
+        }
+
+        console.log(`👤 ${req.admin.username} ${isActive ? 'reactivated' : 'deactivated'} admin ${admin.username}`);
+
+        res.status(200).json({
+            success: true,
+            message: `Admin ${isActive ? 'reactivated' : 'deactivated'} successfully`,
+            data: toAdminSummary(admin)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: `Error ${isActive ? 'reactivating' : 'deactivating'} admin`,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Deactivate an admin (keeps the account and its history)
+ * @route   PUT /api/admin/admins/:id/deactivate
+ * @access  Private (admins:manage)
+ */
+export const deactivateAdmin = setAdminActive(false);
+
+/**
+ * @desc    Reactivate a deactivated admin
+ * @route   PUT /api/admin/admins/:id/reactivate
+ * @access  Private (admins:manage)
+ */
+export const reactivateAdmin = setAdminActive(true);
+
+/**
+ * @desc    Delete an admin
+ * @route   DELETE /api/admin/admins/:id
+ * @access  Private (admins:manage)
+ */
+export const deleteAdmin = async (req, res) => {
+    try {
+        const admin = await findOtherAdmin(req, res);
+        if (!admin) return;
+
+        await admin.deleteOne();
+        await revokeAdminSessions(admin._id, 'deleted');
+
+        console.log(`🗑️ ${req.admin.username} deleted admin ${admin.username}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Admin deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting admin',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Force-reset another admin's password. Their sessions end and they
+ *          must change the new (temporary) password on next login.
+ * @route   PUT /api/admin/admins/:id/reset-password
+ * @access  Private (admins:manage)
+ */
+export const resetAdminPassword = async (req, res) => {
+    try {
+        const admin = await findOtherAdmin(req, res, '+password');
+        if (!admin) return;
+
+        const { password } = req.body;
+
+        if (password !== undefined && !isValidPassword(password)) {
+            return res.status(400).json({
+                success: false,
+                message: PASSWORD_RULE
+            });
+        }
+
+        const temporaryPassword = password ?? generateTemporaryPassword();
+
+        admin.password = temporaryPassword;
+        admin.mustChangePassword = true;
+        await admin.save();
+        await revokeAdminSessions(admin._id, 'password_reset');
+
+        console.log(`🔑 ${req.admin.username} reset the password of admin ${admin.username}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successfully',
+            data: {
+                ...toAdminSummary(admin),
+                ...(!password && { temporaryPassword })
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage(error)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting password',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Clear another admin's 2FA (lost device). Their sessions end; they
+ *          log in with the password and, if 2FA is required, set it up again.
+ * @route   PUT /api/admin/admins/:id/reset-2fa
+ * @access  Private (admins:manage)
+ */
+export const resetAdminTwoFactor = async (req, res) => {
+    try {
+        const admin = await findOtherAdmin(req, res);
+        if (!admin) return;
+
+        await disableTwoFactor(admin._id);
+        await revokeAdminSessions(admin._id, '2fa_reset');
+
+        console.log(`🔓 ${req.admin.username} reset two-factor authentication for admin ${admin.username}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication reset',
+            data: toAdminSummary(admin)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting two-factor authentication',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Change one's own password. Other sessions end; this one gets a fresh access token.
+ * @route   PUT /api/admin/password
+ * @access  Private (any admin)
+ */
+export const changeOwnPassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (typeof currentPassword !== 'string' || !currentPassword || newPassword === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current and new password are required'
+            });
+        }
+
+        if (!isValidPassword(newPassword)) {
+            return res.status(400).json({
+                success: false,
+                message: PASSWORD_RULE
+            });
+        }
+
+        const admin = await Admin.findById(req.admin._id).select('+password');
+
+        if (!admin || !await admin.comparePassword(currentPassword)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        if (await admin.comparePassword(newPassword)) {
+            return res.status(400).json({
+                success: false,
+                message: 'New password must be different from the current one'
+            });
+        }
+
+        admin.password = newPassword;
+        admin.mustChangePassword = false;
+        await admin.save();
+        await revokeAdminSessions(admin._id, 'password_change', { except: req.adminSession._id });
+
+        console.log(`🔑 Admin ${admin.username} changed their password`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed successfully',
+            token: generateToken(admin._id, req.adminSession._id)
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage(error)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error changing password',
+            error: error.message
+        });
+    }
+};
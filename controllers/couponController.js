@@ -0,0 +1,292 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { priceOrder } from '../utils/pricing.js';
+
+const EDITABLE_FIELDS = [
+    'code', 'description', 'discountType', 'discountValue', 'minCartValue',
+    'maxDiscount', 'validFrom', 'validUntil', 'usageLimit', 'perUserLimit',
+    'applicableCategories', 'applicableBrands', 'isActive'
+];
+
+// Copy only known fields; comma-separated strings become lists
+const pickCouponFields = (body) => {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (body[field] === undefined) continue;
+
+        if (['applicableCategories', 'applicableBrands'].includes(field)) {
+            const value = body[field];
+            if (typeof value === 'string') {
+                data[field] = value.split(',').map(v => v.trim()).filter(Boolean);
+            } else if (Array.isArray(value) && value.every(v => typeof v === 'string')) {
+                data[field] = value;
+            } else {
+                const error = new Error(`${field} must be a comma-separated string or a list of strings`);
+                error.status = 400;
+                throw error;
+            }
+        } else if (['maxDiscount', 'usageLimit', 'validUntil'].includes(field) && body[field] === '') {
+            data[field] = null;
+        } else {
+            data[field] = body[field];
+        }
+    }
+    return data;
+};
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+/**
+ * @desc    List coupons
+ * @route   GET /api/admin/coupons
+ * @access  Private (admin)
+ */
+export const getCoupons = async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.active !== undefined) {
+            query.isActive = req.query.active === 'true';
+        }
+
+        const coupons = await Coupon.find(query).sort({ createdAt: -1 }).select('-__v');
+
+        res.status(200).json({
+            success: true,
+            data: coupons,
+            count: coupons.length
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch coupons',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get a coupon with its redemptions
+ * @route   GET /api/admin/coupons/:id
+ * @access  Private (admin)
+ */
+export const getCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id).select('-__v');
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                error: 'Coupon not found'
+            });
+        }
+
+        const redemptions = await CouponRedemption.find({ couponId: coupon._id })
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .select('-__v');
+
+        res.status(200).json({
+            success: true,
+            data: { coupon, redemptions }
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid coupon ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch coupon',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create a coupon
+ * @route   POST /api/admin/coupons
+ * @access  Private (admin)
+ */
+export const createCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.create({
+            ...pickCouponFields(req.body),
+            createdBy: req.admin?.username || 'admin'
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: coupon
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'A coupon with this code already exists'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: validationMessage(error)
+            });
+        }
+
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create coupon',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update a coupon
+ * @route   PUT /api/admin/coupons/:id
+ * @access  Private (admin)
+ */
+export const updateCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                error: 'Coupon not found'
+            });
+        }
+
+        // Saved through the document so the schema's cross-field checks run
+        coupon.set(pickCouponFields(req.body));
+        await coupon.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: coupon
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'A coupon with this code already exists'
+            });
+        }
+
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                error: error.errors ? validationMessage(error) : error.message
+            });
+        }
+
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update coupon',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete a coupon
+ * @route   DELETE /api/admin/coupons/:id
+ * @access  Private (admin)
+ */
+export const deleteCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                error: 'Coupon not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Coupon deleted successfully',
+            data: { couponId: coupon._id, code: coupon.code }
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid coupon ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete coupon',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Preview a coupon against a cart
+ * @route   POST /api/order/apply-coupon
+ * @access  Public (per-user limits checked when logged in)
+ */
+export const applyCoupon = async (req, res) => {
+    try {
+        const { couponCode, products } = req.body;
+
+        if (!couponCode) {
+            return res.status(400).json({
+                success: false,
+                error: 'Coupon code is required'
+            });
+        }
+
+        const pricing = await priceOrder(products, {
+            couponCode,
+            userId: req.user?._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Coupon ${pricing.coupon.code} applied`,
+            data: {
+                couponUsed: pricing.couponUsed,
+                couponDiscount: pricing.orderSummary.couponDiscount,
+                orderSummary: pricing.orderSummary
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Apply coupon error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to apply coupon',
+            message: error.message
+        });
+    }
+};
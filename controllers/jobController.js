@@ -0,0 +1,78 @@
+import JobRun from '../models/JobRun.js';
+import { runJob } from '../utils/jobs.js';
+
+/**
+ * @desc    Background job run log
+ * @route   GET /api/admin/jobs/runs
+ * @access  Private (admin)
+ */
+export const getJobRuns = async (req, res) => {
+    try {
+        const { name, status, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (name) query.name = name;
+        if (status) query.status = status;
+
+        const runs = await JobRun.find(query)
+            .sort({ startedAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .select('-__v');
+
+        const total = await JobRun.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: runs,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch job runs',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Run a background job now (skipped if another instance holds it)
+ * @route   POST /api/admin/jobs/:name/run
+ * @access  Private (admin)
+ */
+export const triggerJob = async (req, res) => {
+    try {
+        const run = await runJob(req.params.name);
+
+        if (!run) {
+            return res.status(409).json({
+                success: false,
+                error: 'Job is already running or was run too recently'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: run
+        });
+    } catch (error) {
+        if (error.message.startsWith('Unknown job')) {
+            return res.status(404).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run job',
+            message: error.message
+        });
+    }
+};
@@ -1,98 +1,96 @@
 import Order from '../models/Order.js';
-import Product from '../models/Product.js';
+import Settings from '../models/Setting.js';
+import { priceOrder, findPriceMismatches } from '../utils/pricing.js';
+import { reserveStock, releaseStock, releaseOrderStock } from '../utils/stock.js';
+import { redeemCoupon, releaseCouponRedemption } from '../utils/coupons.js';
+import { transitionOrder } from '../utils/orderStatus.js';
+
+// Customers only ever see their own orders; staff routes (adminAuth) see any
+const orderScope = (req) => req.admin ? {} : { userId: req.user._id };
 
 // Create new order
 export const createOrder = async (req, res) => {
     try {
         const {
-            userId,
             deliveryAddress,
             products,
             orderSummary,
+            couponCode,
             couponUsed,
             paymentMethod,
             dataSource
         } = req.body;
 
         // Validation
-        if (!deliveryAddress || !products || !orderSummary) {
+        if (!deliveryAddress || !products) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required order information'
             });
         }
 
-        // Validate products array
-        if (!Array.isArray(products) || products.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'At least one product is required'
-            });
-        }
-
         // Generate order number manually
         const timestamp = Date.now().toString();
         const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
         const orderNumber = `ORD${timestamp}${random}`;
 
-        // Validate and process products
-        const processedProducts = [];
-        for (const product of products) {
-            // Verify product exists in database
-            const existingProduct = await Product.findOne({ id: product.id, status: 'active' });
+        // Price the cart from the database; client totals are only compared
+        const pricing = await priceOrder(products, {
+            couponCode: couponCode || couponUsed?.code,
+            userId: req.user._id
+        });
+        const priceMismatches = findPriceMismatches(orderSummary, pricing.orderSummary);
 
-            if (!existingProduct) {
-                return res.status(400).json({
-                    success: false,
-                    error: `Product with ID ${product.id} not found or inactive`
-                });
-            }
+        if (priceMismatches.length > 0) {
+            const settings = await Settings.getSettings();
+            console.warn(`⚠️ Price mismatch for user ${req.user._id}:`, priceMismatches);
 
-            // Check stock availability
-            if (existingProduct.stockQuantity < product.quantity) {
-                return res.status(400).json({
+            if (settings.rejectPriceMismatch) {
+                return res.status(409).json({
                     success: false,
-                    error: `Insufficient stock for ${existingProduct.name}. Available: ${existingProduct.stockQuantity}, Requested: ${product.quantity}`
+                    error: 'Order totals have changed. Please review your cart.',
+                    priceMismatches,
+                    orderSummary: pricing.orderSummary
                 });
             }
-
-            processedProducts.push({
-                productId: product.id,
-                name: existingProduct.name,
-                brand: existingProduct.brand,
-                weight: existingProduct.weight,
-                image: existingProduct.images[0]?.url || '',
-                category: existingProduct.category,
-                mrp: existingProduct.mrp,
-                dmartPrice: existingProduct.dmartPrice,
-                discount: existingProduct.discount,
-                discountPercent: existingProduct.discountPercent,
-                quantity: product.quantity,
-                totalPrice: existingProduct.dmartPrice * product.quantity,
-                isVeg: existingProduct.isVeg,
-                rating: existingProduct.rating
-            });
-
-            // Update stock quantity (optional - uncomment if you want to reduce stock)
-            // await Product.findOneAndUpdate(
-            //   { id: product.id },
-            //   { $inc: { stockQuantity: -product.quantity } }
-            // );
         }
 
+        // Hold stock until the order is paid, cancelled or expires
+        await reserveStock(pricing.products);
+
         // Create new order
         const newOrder = new Order({
             orderNumber: orderNumber,
-            userId: userId || null,
+            userId: req.user._id,
             deliveryAddress,
-            products: processedProducts,
-            orderSummary,
-            couponUsed: couponUsed || {},
+            products: pricing.products,
+            orderSummary: pricing.orderSummary,
+            couponUsed: pricing.couponUsed,
             paymentMethod: paymentMethod || 'online',
-            dataSource: dataSource || 'cart'
+            dataSource: dataSource || 'cart',
+            stockStatus: 'reserved',
+            statusHistory: [{
+                from: null,
+                to: 'pending',
+                actor: { type: 'user', id: req.user._id.toString(), name: req.user.name }
+            }]
         });
 
-        const savedOrder = await newOrder.save();
+        let savedOrder;
+        try {
+            if (pricing.coupon) {
+                await redeemCoupon(pricing.coupon, {
+                    userId: req.user._id,
+                    orderId: newOrder._id,
+                    discount: pricing.orderSummary.couponDiscount
+                });
+            }
+            savedOrder = await newOrder.save();
+        } catch (error) {
+            await releaseStock(pricing.products);
+            await releaseCouponRedemption(newOrder._id);
+            throw error;
+        }
 
         res.status(201).json({
             success: true,
@@ -102,6 +100,8 @@ export const createOrder = async (req, res) => {
                 orderNumber: savedOrder.orderNumber,
                 status: savedOrder.status,
                 finalTotal: savedOrder.orderSummary.finalTotal,
+                orderSummary: savedOrder.orderSummary,
+                priceMismatches,
                 productCount: savedOrder.products.length,
                 createdAt: savedOrder.createdAt
             }
@@ -109,6 +109,14 @@ export const createOrder = async (req, res) => {
 
     } catch (error) {
         console.error('Order creation error:', error);
+
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+
         res.status(500).json({
             success: false,
             error: 'Failed to create order',
@@ -117,16 +125,49 @@ export const createOrder = async (req, res) => {
     }
 };
 
-// Get all orders with product details
+// Price a cart without placing an order
+export const getOrderQuote = async (req, res) => {
+    try {
+        const pricing = await priceOrder(req.body.products, { couponCode: req.body.couponCode });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                products: pricing.products,
+                orderSummary: pricing.orderSummary,
+                couponUsed: pricing.couponUsed
+            }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Order quote error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to price order',
+            message: error.message
+        });
+    }
+};
+
+// Get all orders with product details (admin)
 export const getAllOrders = async (req, res) => {
     try {
-        const { userId } = req.params;
-        const { status, page = 1, limit = 10 } = req.query;
+        const { userId, status, page = 1, limit = 10 } = req.query;
 
         let query = {};
 
+        // Orders from before customer accounts keep their old id in legacyUserId
         if (userId) {
-            query.userId = userId;
+            query.$or = /^[0-9a-fA-F]{24}$/.test(userId)
+                ? [{ userId }, { legacyUserId: userId }]
+                : [{ legacyUserId: String(userId) }];
         }
 
         if (status) {
@@ -163,7 +204,48 @@ export const getAllOrders = async (req, res) => {
     }
 };
 
-// Get single order by ID
+// Get logged-in customer's orders
+export const getMyOrders = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 10 } = req.query;
+
+        const query = { userId: req.user._id };
+
+        if (status) {
+            query.status = status;
+        }
+
+        const orders = await Order.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .select('-__v');
+
+        const totalOrders = await Order.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: orders,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(totalOrders / limit),
+                totalOrders,
+                hasNextPage: page < Math.ceil(totalOrders / limit),
+                hasPrevPage: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Orders fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch orders',
+            message: error.message
+        });
+    }
+};
+
+// Get single order by ID (own order, or any order for staff)
 export const getOrderById = async (req, res) => {
     try {
         const { id } = req.params;
@@ -186,7 +268,7 @@ export const getOrderById = async (req, res) => {
             });
         }
 
-        const order = await Order.findById(id).select('-__v');
+        const order = await Order.findOne({ _id: id, ...orderScope(req) }).select('-__v');
 
         if (!order) {
             return res.status(404).json({
@@ -222,56 +304,129 @@ export const getOrderById = async (req, res) => {
 export const updateOrderStatus = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status } = req.body;
+        const { status, note, reason } = req.body;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid order ID format'
+            });
+        }
+
+        const updatedOrder = await transitionOrder(id, status, {
+            actor: { type: 'admin', id: req.admin._id.toString(), name: req.admin.username },
+            note,
+            changes: status === 'cancelled' ? {
+                cancellation: { reason: reason || 'other', note, cancelledBy: 'admin', at: new Date() }
+            } : {}
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Order status updated successfully',
+            data: {
+                orderId: updatedOrder._id,
+                orderNumber: updatedOrder.orderNumber,
+                status: updatedOrder.status
+            }
+        });
 
-        const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
 
-        if (!validStatuses.includes(status)) {
+        console.error('Order status update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update order status',
+            message: error.message
+        });
+    }
+};
+
+// Customer cancels their own order before it ships
+export const cancelMyOrder = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason, note } = req.body;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid order status'
+                error: 'Invalid order ID format'
             });
         }
 
-        const updatedOrder = await Order.findByIdAndUpdate(
-            id,
-            { status },
-            { new: true }
-        );
+        const validReasons = Order.schema.path('cancellation.reason').enumValues;
+        if (!validReasons.includes(reason)) {
+            return res.status(400).json({
+                success: false,
+                error: `Cancellation reason must be one of: ${validReasons.join(', ')}`
+            });
+        }
+
+        const order = await Order.findOne({ _id: id, userId: req.user._id });
 
-        if (!updatedOrder) {
+        if (!order) {
             return res.status(404).json({
                 success: false,
                 error: 'Order not found'
             });
         }
 
+        if (!['pending', 'confirmed', 'processing'].includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Order cannot be cancelled once it is ${order.status}`
+            });
+        }
+
+        const cancelledOrder = await transitionOrder(order, 'cancelled', {
+            actor: { type: 'user', id: req.user._id.toString(), name: req.user.name },
+            note,
+            changes: {
+                cancellation: { reason, note, cancelledBy: 'user', at: new Date() }
+            }
+        });
+
         res.status(200).json({
             success: true,
-            message: 'Order status updated successfully',
+            message: 'Order cancelled successfully',
             data: {
-                orderId: updatedOrder._id,
-                orderNumber: updatedOrder.orderNumber,
-                status: updatedOrder.status
+                orderId: cancelledOrder._id,
+                orderNumber: cancelledOrder.orderNumber,
+                status: cancelledOrder.status,
+                paymentStatus: cancelledOrder.paymentStatus
             }
         });
 
     } catch (error) {
-        console.error('Order status update error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Order cancel error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to update order status',
+            error: 'Failed to cancel order',
             message: error.message
         });
     }
 };
 
-// Get order by order number
+// Get order by order number (own order, or any order for staff)
 export const getOrderByNumber = async (req, res) => {
     try {
         const { orderNumber } = req.params;
 
-        const order = await Order.findOne({ orderNumber }).select('-__v');
+        const order = await Order.findOne({ orderNumber: String(orderNumber), ...orderScope(req) }).select('-__v');
 
         if (!order) {
             return res.status(404).json({
@@ -330,7 +485,8 @@ export const deleteOrder = async (req, res) => {
 
         console.log('Found order to delete:', order.orderNumber);
 
-        // Delete the order
+        // Return any held stock, then delete the order
+        await releaseOrderStock(id, ['reserved']);
         await Order.findByIdAndDelete(id);
 
         console.log('Order deleted successfully:', order.orderNumber);
@@ -1,9 +1,27 @@
 import crypto from 'crypto';
+import QRCode from 'qrcode';
 import Transaction from '../models/Transaction.js';
 import Settings from '../models/Setting.js';
 import Order from '../models/Order.js';
-
-const MERCHANT_SECRET = process.env.MERCHANT_SECRET || 'my_super_secret_key';
+import { buildUpiIntent } from '../utils/upi.js';
+import { settlePayment } from '../utils/payments.js';
+import { claimPaymentAttempt, releasePaymentAttempt } from '../utils/paymentAttempts.js';
+import {
+    TERMINAL_PAYMENT_STATUSES,
+    toPaymentStatus,
+    subscribePaymentStatus
+} from '../utils/paymentEvents.js';
+import { generatePaymentStreamToken, verifyPaymentStreamToken } from '../middleware/auth.js';
+import { assignPaymentMatch, findMatchedTid, releasePaymentMatch } from '../utils/paymentMatching.js';
+import { pickMerchantUpi, releaseMerchantUpi } from '../utils/merchantUpi.js';
+import {
+    getMerchantSecret,
+    verifyWebhookSignature,
+    claimWebhookEvent,
+    releaseWebhookEvent
+} from '../utils/webhooks.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { getUpiProvider, listUpiProviders, buildPaymentLinks } from '../utils/upiProviders/index.js';
 
 // Generate unique transaction ID
 const generateTransactionId = () => {
@@ -17,23 +35,98 @@ const generateNote = () => {
     return `s${Math.floor(Math.random() * 900) + 100}`;
 };
 
+const TRANSACTION_STATUSES = Transaction.schema.path('status').enumValues;
+
+// Payment status stream timings
+const STREAM_RETRY_MS = 3000;
+const STREAM_HEARTBEAT_MS = 15 * 1000;
+const STREAM_MAX_AGE_MS = 30 * 60 * 1000;
+
+// Outcomes a pending payment can be moved to from outside (admin, simulation)
+const PAYMENT_OUTCOMES = ['success', 'failed'];
+
+const validateOutcome = (status) => {
+    if (!TRANSACTION_STATUSES.includes(status)) {
+        return `Invalid status. Must be one of: ${TRANSACTION_STATUSES.join(', ')}`;
+    }
+    if (!PAYMENT_OUTCOMES.includes(status)) {
+        return `A pending payment can only be marked ${PAYMENT_OUTCOMES.join(' or ')}`;
+    }
+    return null;
+};
+
 // Create HMAC signature
 const createSignature = (payload) => {
     return crypto
-        .createHmac('sha256', MERCHANT_SECRET)
+        .createHmac('sha256', getMerchantSecret())
         .update(payload)
         .digest('hex');
 };
 
+// Which kind of link the customer's browser can open
+const detectDevice = (req) => {
+    const userAgent = req.headers['user-agent'] || '';
+    if (/iPad|iPhone|iPod/.test(userAgent)) return 'iOS';
+    if (/Android/.test(userAgent)) return 'Android';
+    return 'Desktop';
+};
+
+/**
+ * Build the app links, signed payload and client response for a payment.
+ */
+const preparePayment = ({ provider, tid, expires, amount, note, vpa, payeeName, device, userId }) => {
+    const { androidUrl, iosUrl, payloadB64 } = buildPaymentLinks(provider, {
+        vpa,
+        payeeName,
+        amount,
+        note,
+        transactionRef: tid
+    }, { tid, expires });
+
+    const signature = createSignature(payloadB64);
+
+    // Choose appropriate URL based on device
+    const redirectUrl = device === 'iOS' ? iosUrl : androidUrl;
+
+    const response = {
+        redirect_url: redirectUrl,
+        ios_url: iosUrl,
+        android_url: androidUrl,
+        payload: payloadB64,
+        sig: signature,
+        expires: expires,
+        tid: tid,
+        amount: amount.toString(),
+        payType: provider.name,
+        device,
+        // EventSource clients follow the payment here instead of polling /status
+        stream_url: `/api/payment/stream/${tid}?token=${generatePaymentStreamToken(tid, userId)}`
+    };
+
+    // Desktop browsers cannot open app links; point them at a scannable QR
+    if (device === 'Desktop') {
+        response.upi_intent = buildUpiIntent({ vpa, payeeName, amount, note, transactionRef: tid });
+        response.qr_url = `/api/payment/qr/${tid}`;
+    }
+
+    return { response, payloadB64, signature, redirectUrl };
+};
+
 /**
  * @desc    Create payment transaction
  * @route   POST /api/payment/create
- * @access  Public
+ * @access  Private (customer)
+ *
+ * For an order, at most one attempt is live at a time: while one is
+ * pending, the same attempt is returned (re-linked for the chosen app).
  */
 export const createPayment = async (req, res) => {
-    try {
-        const { amount, payType, orderId, userId } = req.body;
+    const { amount, payType, orderId } = req.body;
+    let claimedTid = null;
+    let heldUpi = null;
+    let heldMatch = null;
 
+    try {
         // Validation
         if (!amount || !payType) {
             return res.status(400).json({
@@ -41,141 +134,140 @@ export const createPayment = async (req, res) => {
             });
         }
 
-        const paymentAmount = parseFloat(amount);
-        const paymentType = payType.toLowerCase().trim();
+        let paymentAmount = parseFloat(amount);
+        const provider = getUpiProvider(payType);
 
         // Validate payment type
-        if (!['phonepe', 'paytm'].includes(paymentType)) {
+        if (!provider) {
             return res.status(400).json({
-                error: 'Unsupported payment type'
+                error: 'Unsupported payment type',
+                supported: listUpiProviders().map(p => p.name)
             });
         }
+        const paymentType = provider.name;
+
+        // An order can only be paid for by the customer who placed it
+        if (orderId) {
+            const order = /^[0-9a-fA-F]{24}$/.test(orderId)
+                ? await Order.findOne({ _id: orderId, userId: req.user._id })
+                : null;
+
+            if (!order) {
+                return res.status(404).json({
+                    error: 'Order not found'
+                });
+            }
+
+            if (order.paymentStatus === 'paid') {
+                return res.status(400).json({
+                    error: 'Order is already paid'
+                });
+            }
+
+            // The server-priced order total is the only amount that can be charged
+            const orderTotal = order.orderSummary.finalTotal;
+            if (!(Math.abs(paymentAmount - orderTotal) <= 0.01)) {
+                return res.status(400).json({
+                    error: 'Amount does not match order total',
+                    orderTotal
+                });
+            }
+            paymentAmount = orderTotal;
+        }
 
-        // Fetch merchant UPI from database
         const settings = await Settings.getSettings();
-        const MERCHANT_UPI = settings.merchantUPI;
 
-        console.log('💳 Using Merchant UPI:', MERCHANT_UPI);
+        const device = detectDevice(req);
+        console.log(`📱 Device detected: ${device}`);
 
         // Generate transaction details
         const tid = generateTransactionId();
         const expires = Math.floor(Date.now() / 1000) + 600; // 10 minutes
-        const note = generateNote();
-
-        // Detect device from User-Agent
-        const userAgent = req.headers['user-agent'] || '';
-        const isIOS = /iPad|iPhone|iPod/.test(userAgent);
-        const isAndroid = /Android/.test(userAgent);
-
-        console.log(`📱 Device detected: ${isIOS ? 'iOS' : isAndroid ? 'Android' : 'Desktop'}`);
-
-        let response;
-        let payloadB64;
-        let signature;
-        let redirectUrl;
-        let iosUrl;
-        let androidUrl;
-
-        if (paymentType === 'phonepe') {
-            // PhonePe payment
-            const payloadJson = {
-                contact: {
-                    cbsName: "",
-                    nickName: "",
-                    vpa: MERCHANT_UPI,
-                    type: "VPA"
-                },
-                p2pPaymentCheckoutParams: {
-                    note: note,
-                    isByDefaultKnownContact: true,
-                    initialAmount: Math.floor(paymentAmount * 100),
-                    currency: "INR",
-                    checkoutType: "DEFAULT",
-                    transactionContext: "p2p"
+
+        if (orderId) {
+            const attempt = await claimPaymentAttempt(orderId, req.user._id, {
+                tid,
+                payType: paymentType,
+                amount: paymentAmount,
+                expires: new Date(expires * 1000)
+            });
+
+            if (attempt.liveTid) {
+                const live = await Transaction.findOne({ tid: attempt.liveTid, status: 'pending' });
+
+                if (!live) {
+                    return res.status(409).json({
+                        error: 'A payment for this order is being processed. Please check its status.',
+                        tid: attempt.liveTid
+                    });
                 }
-            };
 
-            const payloadStr = JSON.stringify(payloadJson);
-            payloadB64 = Buffer.from(payloadStr).toString('base64');
-            signature = createSignature(payloadB64);
-            const payloadUrlenc = encodeURIComponent(payloadB64);
+                // Same amount, note and reference; only the app link changes
+                const prepared = preparePayment({
+                    provider,
+                    tid: live.tid,
+                    expires: Math.floor(live.expires.getTime() / 1000),
+                    amount: live.amount,
+                    note: live.note,
+                    vpa: live.upi,
+                    payeeName: settings.siteName,
+                    device,
+                    userId: req.user._id
+                });
 
-            // Android deep link
-            androidUrl = `phonepe://native?data=${payloadUrlenc}&id=p2ppayment`;
+                await Transaction.updateOne({ tid: live.tid, status: 'pending' }, {
+                    payType: paymentType,
+                    payload: prepared.payloadB64,
+                    signature: prepared.signature,
+                    redirectUrl: prepared.redirectUrl
+                });
 
-            // iOS universal link (UPI Intent format)
-            iosUrl = `phonepe://pay?pa=${encodeURIComponent(MERCHANT_UPI)}&pn=Merchant&am=${paymentAmount}&tn=${encodeURIComponent(note)}&cu=INR`;
+                console.log(`♻️ Returning live attempt ${live.tid} for order ${orderId}`);
 
-            // Choose appropriate URL based on device
-            if (isIOS) {
-                redirectUrl = iosUrl;
-            } else {
-                redirectUrl = androidUrl;
+                return res.status(200).json({ ...prepared.response, reused: true });
             }
 
-            response = {
-                redirect_url: redirectUrl,
-                ios_url: iosUrl,
-                android_url: androidUrl,
-                payload: payloadB64,
-                sig: signature,
-                expires: expires,
-                tid: tid,
-                amount: paymentAmount.toString(),
-                device: isIOS ? 'iOS' : isAndroid ? 'Android' : 'Desktop'
-            };
-
-        } else if (paymentType === 'paytm') {
-            // Paytm payment
-            const queryParams = new URLSearchParams({
-                pa: MERCHANT_UPI,
-                am: paymentAmount,
-                tn: note,
-                pn: MERCHANT_UPI,
-                mc: '',
-                cu: 'INR',
-                url: '',
-                mode: '',
-                purpose: '',
-                orgid: '',
-                sign: '',
-                featuretype: 'money_transfer'
-            });
+            claimedTid = tid;
+        }
 
-            redirectUrl = `paytmmp://cash_wallet?${queryParams.toString()}`;
-            iosUrl = `paytm://pay?${queryParams.toString()}`;
+        const baseAmount = paymentAmount;
 
-            const payloadJson = {
-                redirect: redirectUrl,
-                tid: tid,
-                exp: expires
-            };
+        // Make the payment identifiable on the bank statement when matching is on
+        const match = await assignPaymentMatch({ amount: baseAmount, note: generateNote(), tid }, settings);
+        heldMatch = match.matchKey ? tid : null;
+        const note = match.note;
+        paymentAmount = match.amount;
 
-            const payloadStr = JSON.stringify(payloadJson);
-            payloadB64 = Buffer.from(payloadStr).toString('base64');
-            signature = createSignature(payloadB64);
+        // Spread payments across the merchant VPA pool within each VPA's daily caps
+        const merchantUpi = await pickMerchantUpi(paymentAmount, settings);
+        heldUpi = { vpa: merchantUpi, amount: paymentAmount };
 
-            response = {
-                redirect_url: redirectUrl,
-                ios_url: iosUrl,
-                android_url: redirectUrl,
-                payload: payloadB64,
-                sig: signature,
-                expires: expires,
-                tid: tid,
-                amount: paymentAmount.toString(),
-                device: isIOS ? 'ios' : isAndroid ? 'android' : 'desktop'
-            };
-        }
+        console.log('💳 Using Merchant UPI:', merchantUpi);
+
+        const { response, payloadB64, signature, redirectUrl } = preparePayment({
+            provider,
+            tid,
+            expires,
+            amount: paymentAmount,
+            note,
+            vpa: merchantUpi,
+            payeeName: settings.siteName,
+            device,
+            userId: req.user._id
+        });
 
         // Save transaction to database
         const transaction = new Transaction({
             tid: tid,
-            userId: userId || null,
+            userId: req.user._id,
             orderId: orderId || null,
             amount: paymentAmount,
+            baseAmount,
+            amountOffset: match.amountOffset,
+            matchKey: match.matchKey,
             payType: paymentType,
-            upi: MERCHANT_UPI,
+            upi: merchantUpi,
+            upiUsage: 'held',
             status: 'pending',
             payload: payloadB64,
             signature: signature,
@@ -185,6 +277,8 @@ export const createPayment = async (req, res) => {
         });
 
         await transaction.save();
+        heldUpi = null;
+        heldMatch = null;
 
         console.log(`✅ Transaction created: ${tid} for ₹${paymentAmount}`);
 
@@ -192,6 +286,31 @@ export const createPayment = async (req, res) => {
         res.status(200).json(response);
 
     } catch (error) {
+        // Free the order for another attempt if this one never got created
+        if (claimedTid) {
+            await releasePaymentAttempt(orderId, claimedTid).catch(releaseError => {
+                console.error('Failed to release payment attempt:', releaseError.message);
+            });
+        }
+
+        if (heldUpi) {
+            await releaseMerchantUpi(heldUpi.vpa, heldUpi.amount).catch(releaseError => {
+                console.error('Failed to release merchant UPI usage:', releaseError.message);
+            });
+        }
+
+        if (heldMatch) {
+            await releasePaymentMatch(heldMatch).catch(releaseError => {
+                console.error('Failed to release payment match:', releaseError.message);
+            });
+        }
+
+        if (error.status) {
+            return res.status(error.status).json({
+                error: error.message
+            });
+        }
+
         console.error('Error creating payment:', error);
         res.status(500).json({
             error: 'Failed to create payment',
@@ -203,7 +322,7 @@ export const createPayment = async (req, res) => {
 /**
  * @desc    Check payment status
  * @route   GET /api/payment/status/:tid
- * @access  Public
+ * @access  Private (customer)
  */
 export const checkPaymentStatus = async (req, res) => {
     try {
@@ -215,7 +334,7 @@ export const checkPaymentStatus = async (req, res) => {
             });
         }
 
-        const transaction = await Transaction.findOne({ tid });
+        let transaction = await Transaction.findOne({ tid, userId: req.user._id });
 
         if (!transaction) {
             return res.status(404).json({
@@ -225,27 +344,11 @@ export const checkPaymentStatus = async (req, res) => {
 
         // Check if transaction expired
         if (transaction.status === 'pending' && new Date() > transaction.expires) {
-            transaction.status = 'expired';
-            await transaction.save();
-
-            // Update order if exists
-            if (transaction.orderId) {
-                await Order.findByIdAndUpdate(transaction.orderId, {
-                    paymentStatus: 'failed',
-                    orderStatus: 'cancelled'
-                });
-            }
+            transaction = await settlePayment(tid, 'expired', { source: 'payment-status' })
+                || await Transaction.findOne({ tid });
         }
 
-        res.status(200).json({
-            tid: transaction.tid,
-            status: transaction.status,
-            amount: transaction.amount,
-            payType: transaction.payType,
-            upi: transaction.upi,
-            createdAt: transaction.createdAt,
-            completedAt: transaction.completedAt
-        });
+        res.status(200).json(toPaymentStatus(transaction));
 
     } catch (error) {
         console.error('Error checking payment status:', error);
@@ -257,21 +360,15 @@ export const checkPaymentStatus = async (req, res) => {
 };
 
 /**
- * @desc    Verify payment (Manual or Auto)
- * @route   POST /api/payment/verify
- * @access  Public
+ * @desc    Short-lived token for the payment status stream
+ * @route   GET /api/payment/stream-token/:tid
+ * @access  Private (customer)
  */
-export const verifyPayment = async (req, res) => {
+export const getPaymentStreamToken = async (req, res) => {
     try {
-        const { tid, status, signature } = req.body;
-
-        if (!tid || !status) {
-            return res.status(400).json({
-                error: 'Transaction ID and status are required'
-            });
-        }
+        const { tid } = req.params;
 
-        const transaction = await Transaction.findOne({ tid });
+        const transaction = await Transaction.findOne({ tid, userId: req.user._id });
 
         if (!transaction) {
             return res.status(404).json({
@@ -279,37 +376,154 @@ export const verifyPayment = async (req, res) => {
             });
         }
 
-        // Verify signature if provided
-        if (signature) {
-            const expectedSig = createSignature(transaction.payload);
-            if (signature !== expectedSig) {
-                return res.status(400).json({
-                    error: 'Invalid signature'
-                });
-            }
+        const token = generatePaymentStreamToken(tid, req.user._id);
+
+        res.status(200).json({
+            token,
+            stream_url: `/api/payment/stream/${tid}?token=${token}`
+        });
+    } catch (error) {
+        console.error('Error creating stream token:', error);
+        res.status(500).json({
+            error: 'Failed to create stream token',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Server-Sent Events stream of a payment's status
+ * @route   GET /api/payment/stream/:tid?token=...
+ * @access  Private (payment-stream token from /stream-token/:tid or /create)
+ *
+ * Sends a `status` event whenever the transaction changes (event id is the
+ * change time, so a reconnect with Last-Event-ID only gets newer states),
+ * a comment heartbeat in between, and closes once the status is final.
+ */
+export const streamPaymentStatus = async (req, res) => {
+    const { tid } = req.params;
+    const userId = verifyPaymentStreamToken(req.query.token, tid);
+
+    if (!userId) {
+        return res.status(401).json({
+            error: 'Invalid or expired stream token'
+        });
+    }
+
+    let transaction;
+    try {
+        transaction = await Transaction.findOne({ tid, userId });
+    } catch (error) {
+        console.error('Error opening payment stream:', error);
+        return res.status(500).json({
+            error: 'Failed to open payment stream'
+        });
+    }
+
+    if (!transaction) {
+        return res.status(404).json({
+            error: 'Transaction not found'
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+    let lastEventId = parseInt(req.get('Last-Event-ID')) || 0;
+    let closed = false;
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        clearTimeout(lifetime);
+        unsubscribe();
+        res.end();
+    };
+
+    const send = (current) => {
+        const eventId = current.updatedAt.getTime();
+        if (closed || eventId <= lastEventId) return;
+        lastEventId = eventId;
+
+        res.write(`id: ${eventId}\nevent: status\ndata: ${JSON.stringify(toPaymentStatus(current))}\n\n`);
+        // compression() buffers responses; push each event out now
+        res.flush?.();
+
+        if (TERMINAL_PAYMENT_STATUSES.includes(current.status)) close();
+    };
+
+    const unsubscribe = subscribePaymentStatus(tid, send);
+
+    // Heartbeat keeps proxies from timing out and picks up changes made by other instances
+    const heartbeat = setInterval(async () => {
+        res.write(': ping\n\n');
+        res.flush?.();
+        try {
+            const current = await Transaction.findOne({ tid });
+            if (current) send(current);
+        } catch (error) {
+            console.error(`Payment stream ${tid} refresh failed:`, error.message);
         }
+    }, STREAM_HEARTBEAT_MS);
 
-        if (transaction.status !== 'pending') {
+    // Clients reconnect with Last-Event-ID if they are still interested
+    const lifetime = setTimeout(close, STREAM_MAX_AGE_MS);
+
+    req.on('close', close);
+
+    send(transaction);
+};
+
+/**
+ * @desc    Manually approve or fail a pending payment
+ * @route   POST /api/payment/verify
+ * @access  Private (admin)
+ */
+export const verifyPayment = async (req, res) => {
+    try {
+        const { tid, status, reason, upiRef } = req.body;
+
+        if (!tid || !status || !reason) {
             return res.status(400).json({
-                error: `Transaction already ${transaction.status}`
+                error: 'Transaction ID, status and reason are required'
             });
         }
 
-        // Update transaction
-        transaction.status = status;
-        transaction.completedAt = new Date();
-        await transaction.save();
+        const statusError = validateOutcome(status);
+        if (statusError) {
+            return res.status(400).json({
+                error: statusError
+            });
+        }
 
-        console.log(`💳 Transaction ${tid} marked as ${status.toUpperCase()}`);
+        const manualReview = {
+            adminId: req.admin._id,
+            username: req.admin.username,
+            reason,
+            at: new Date()
+        };
+
+        // Only a still-pending payment is settled, so a webhook landing at the same moment cannot be overwritten
+        const transaction = await settlePayment(tid, status, {
+            source: 'payment-verify',
+            actor: { type: 'admin', id: req.admin._id, name: req.admin.username },
+            note: `Payment ${status} (manual): ${reason}`,
+            changes: { manualReview, ...(upiRef && { upiRef }) }
+        });
 
-        // Update order if exists
-        if (transaction.orderId) {
-            const order = await Order.findById(transaction.orderId);
-            if (order) {
-                order.paymentStatus = status === 'success' ? 'paid' : 'failed';
-                order.status = status === 'success' ? 'confirmed' : 'cancelled';
-                await order.save();
-            }
+        if (!transaction) {
+            const existing = await Transaction.findOne({ tid });
+            return res.status(existing ? 400 : 404).json({
+                error: existing ? `Transaction already ${existing.status}` : 'Transaction not found'
+            });
         }
 
         res.status(200).json({
@@ -317,7 +531,8 @@ export const verifyPayment = async (req, res) => {
             message: `Payment ${status}`,
             tid: transaction.tid,
             status: transaction.status,
-            amount: transaction.amount
+            amount: transaction.amount,
+            manualReview: transaction.manualReview
         });
 
     } catch (error) {
@@ -333,84 +548,211 @@ export const verifyPayment = async (req, res) => {
  * @desc    Webhook for automatic payment detection
  * @route   POST /api/payment/webhook
  * @access  Public (secured with signature)
+ *
+ * Deliveries must carry X-Webhook-Id, X-Webhook-Timestamp (unix seconds) and
+ * X-Webhook-Signature: hex HMAC-SHA256 of `<timestamp>.<raw body>` keyed with
+ * MERCHANT_SECRET.
  */
 export const paymentWebhook = async (req, res) => {
+    const eventId = req.get('X-Webhook-Id');
+    const timestamp = req.get('X-Webhook-Timestamp');
+    const event = {
+        eventId,
+        tid: req.body?.tid,
+        sentAt: /^\d+$/.test(timestamp || '') ? new Date(timestamp * 1000) : undefined,
+        ip: req.ip,
+        payload: req.body
+    };
+
+    // Every delivery is logged, whatever happens to it
+    const respond = async (httpStatus, outcome, reason, body) => {
+        await WebhookEvent.create({ ...event, outcome, reason, httpStatus }).catch(error => {
+            console.error('❌ Failed to log webhook event:', error.message);
+        });
+        return res.status(httpStatus).json(body || { error: reason });
+    };
+
+    let claimed = false;
+
     try {
-        console.log('📥 Webhook received:', JSON.stringify(req.body));
+        console.log(`📥 Webhook received: ${eventId || 'no event id'}`);
 
-        const { tid, status, amount, upi_ref, signature } = req.body;
+        const rejection = verifyWebhookSignature({
+            secret: getMerchantSecret(),
+            timestamp,
+            signature: req.get('X-Webhook-Signature'),
+            rawBody: req.rawBody
+        });
 
-        if (!tid || !status) {
-            console.error('❌ Invalid webhook data');
-            return res.status(400).json({
-                error: 'Invalid webhook data'
-            });
+        if (rejection) {
+            console.error(`❌ Webhook rejected: ${rejection}`);
+            return respond(401, 'rejected', rejection);
         }
+        event.signatureValid = true;
 
-        // Find transaction
-        const transaction = await Transaction.findOne({ tid });
+        if (!eventId) {
+            return respond(400, 'rejected', 'Missing X-Webhook-Id');
+        }
 
-        if (!transaction) {
-            console.error('❌ Transaction not found:', tid);
-            return res.status(404).json({
-                error: 'Transaction not found'
+        // Replays (and sender retries of a delivery we already handled) change nothing
+        if (!await claimWebhookEvent(eventId)) {
+            console.warn(`⚠️ Webhook ${eventId} already delivered`);
+            return respond(200, 'duplicate', 'Event already processed', {
+                success: true,
+                message: 'Event already processed'
             });
         }
+        claimed = true;
 
-        // Verify webhook signature (optional but recommended)
-        if (signature) {
-            const expectedSig = crypto
-                .createHmac('sha256', MERCHANT_SECRET)
-                .update(`${tid}${status}${amount}`)
-                .digest('hex');
-            if (signature !== expectedSig) {
-                console.error('❌ Invalid webhook signature');
-                return res.status(400).json({
-                    error: 'Invalid signature'
-                });
-            }
+        const { status, amount, note, upi_ref } = req.body;
+
+        if (!['success', 'failed'].includes(status)) {
+            return respond(400, 'rejected', 'Invalid webhook data');
         }
 
-        // Only update if currently pending
-        if (transaction.status === 'pending') {
-            transaction.status = status;
-            transaction.completedAt = new Date();
+        // Senders that only see the bank credit identify it by its unique amount or note
+        const tid = req.body.tid || await findMatchedTid({
+            amount: amount === undefined ? undefined : parseFloat(amount),
+            notes: note ? [note] : []
+        });
+        event.tid = tid;
 
-            if (upi_ref) {
-                transaction.upiRef = upi_ref;
-            }
+        const transaction = tid ? await Transaction.findOne({ tid }) : null;
 
-            await transaction.save();
+        if (!transaction) {
+            console.error('❌ Transaction not found:', tid);
+            await releaseWebhookEvent(eventId);
+            return respond(404, 'rejected', 'Transaction not found');
+        }
 
-            console.log(`✅ Webhook: Transaction ${tid} → ${status.toUpperCase()}`);
+        // A payment only counts if the full amount arrived
+        if (status === 'success' && !(Math.abs(parseFloat(amount) - transaction.amount) <= 0.005)) {
+            console.error(`❌ Webhook amount ${amount} does not match ₹${transaction.amount} for ${tid}`);
+            return respond(400, 'rejected', 'Amount does not match transaction');
+        }
 
-            // Update order
-            if (transaction.orderId) {
-                const order = await Order.findById(transaction.orderId);
-                if (order) {
-                    order.paymentStatus = status === 'success' ? 'paid' : 'failed';
-                    order.status = status === 'success' ? 'confirmed' : 'cancelled';
-                    await order.save();
-                }
-            }
-        } else {
+        // Only update if currently pending
+        if (transaction.status !== 'pending') {
             console.log(`⚠️ Transaction ${tid} already ${transaction.status}`);
+            return respond(200, 'ignored', `Transaction already ${transaction.status}`, {
+                success: true,
+                message: 'Webhook processed successfully'
+            });
         }
 
-        res.status(200).json({
+        const settled = await settlePayment(tid, status, {
+            source: 'payment-webhook',
+            changes: upi_ref ? { upiRef: upi_ref } : {}
+        });
+
+        if (!settled) {
+            return respond(200, 'ignored', 'Transaction settled by another path meanwhile', {
+                success: true,
+                message: 'Webhook processed successfully'
+            });
+        }
+
+        return respond(200, 'processed', undefined, {
             success: true,
             message: 'Webhook processed successfully'
         });
 
     } catch (error) {
         console.error('❌ Webhook error:', error);
+        if (claimed) {
+            await releaseWebhookEvent(eventId).catch(() => {});
+        }
+        return respond(500, 'error', error.message, {
+            error: 'Webhook processing failed'
+        });
+    }
+};
+
+/**
+ * @desc    UPI QR code for a pending transaction (desktop checkout)
+ * @route   GET /api/payment/qr/:tid?format=png|svg|json
+ * @access  Private (customer)
+ */
+export const getPaymentQR = async (req, res) => {
+    try {
+        const { tid } = req.params;
+        const format = (req.query.format || 'png').toLowerCase();
+
+        if (!['png', 'svg', 'json'].includes(format)) {
+            return res.status(400).json({
+                error: 'Format must be png, svg or json'
+            });
+        }
+
+        const transaction = await Transaction.findOne({ tid, userId: req.user._id });
+
+        if (!transaction) {
+            return res.status(404).json({
+                error: 'Transaction not found'
+            });
+        }
+
+        if (transaction.status !== 'pending' || new Date() > transaction.expires) {
+            return res.status(410).json({
+                error: 'Transaction is no longer payable',
+                status: transaction.status
+            });
+        }
+
+        const settings = await Settings.getSettings();
+        const intent = buildUpiIntent({
+            vpa: transaction.upi,
+            payeeName: settings.siteName,
+            amount: transaction.amount,
+            note: transaction.note,
+            transactionRef: transaction.tid
+        });
+
+        const qrOptions = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+
+        // Never cache: the code is only valid until the transaction expires
+        res.set('Cache-Control', 'no-store');
+        res.set('X-Expires-At', transaction.expires.toISOString());
+
+        if (format === 'svg') {
+            const svg = await QRCode.toString(intent, { ...qrOptions, type: 'svg' });
+            return res.type('image/svg+xml').send(svg);
+        }
+
+        if (format === 'json') {
+            return res.status(200).json({
+                tid: transaction.tid,
+                amount: transaction.amount,
+                note: transaction.note,
+                upi_intent: intent,
+                qr: await QRCode.toDataURL(intent, qrOptions),
+                expires: Math.floor(transaction.expires.getTime() / 1000)
+            });
+        }
+
+        const png = await QRCode.toBuffer(intent, { ...qrOptions, type: 'png' });
+        res.type('image/png').send(png);
+
+    } catch (error) {
+        console.error('Error generating payment QR:', error);
         res.status(500).json({
-            error: 'Webhook processing failed',
+            error: 'Failed to generate QR code',
             message: error.message
         });
     }
 };
 
+/**
+ * @desc    List supported UPI apps
+ * @route   GET /api/payment/providers
+ * @access  Public
+ */
+export const getPaymentProviders = async (req, res) => {
+    res.status(200).json({
+        providers: listUpiProviders()
+    });
+};
+
 /**
  * @desc    Get merchant UPI
  * @route   GET /api/payment/merchant-upi
@@ -432,7 +774,7 @@ export const getMerchantUPI = async (req, res) => {
 /**
  * @desc    Simulate payment (TESTING ONLY)
  * @route   POST /api/payment/simulate
- * @access  Public
+ * @access  Public (only mounted when PAYMENT_TEST_MODE=true)
  */
 export const simulatePayment = async (req, res) => {
     try {
@@ -444,31 +786,23 @@ export const simulatePayment = async (req, res) => {
             });
         }
 
-        const transaction = await Transaction.findOne({ tid });
-
-        if (!transaction) {
-            return res.status(404).json({
-                error: 'Transaction not found'
-            });
-        }
-
-        if (transaction.status !== 'pending') {
+        const statusError = validateOutcome(status);
+        if (statusError) {
             return res.status(400).json({
-                error: `Transaction already ${transaction.status}`
+                error: statusError
             });
         }
 
         // Simulate payment
-        transaction.status = status;
-        transaction.completedAt = new Date();
-        transaction.upiRef = `SIM${Date.now()}`;
-        await transaction.save();
+        const transaction = await settlePayment(tid, status, {
+            source: 'payment-simulate',
+            changes: { upiRef: `SIM${Date.now()}` }
+        });
 
-        // Update order
-        if (transaction.orderId) {
-            await Order.findByIdAndUpdate(transaction.orderId, {
-                paymentStatus: status === 'success' ? 'paid' : 'failed',
-                orderStatus: status === 'success' ? 'confirmed' : 'cancelled'
+        if (!transaction) {
+            const existing = await Transaction.findOne({ tid });
+            return res.status(existing ? 400 : 404).json({
+                error: existing ? `Transaction already ${existing.status}` : 'Transaction not found'
             });
         }
 
@@ -0,0 +1,342 @@
+import StatementImport from '../models/StatementImport.js';
+import Transaction from '../models/Transaction.js';
+import Settings from '../models/Setting.js';
+import { parseStatement } from '../utils/statementParser.js';
+import { reconcileCredits, applyStatementCredit } from '../utils/reconciliation.js';
+import { findPaymentMismatches, fixPaymentMismatch } from '../utils/paymentAudit.js';
+
+const RESULTS = ['matched', 'ambiguous', 'unmatched', 'duplicate'];
+
+// Merchant VPAs in settings, including deactivated pool entries
+const merchantVpas = (settings) => [...new Set([
+    settings.merchantUPI,
+    ...(settings.merchantUPIPool || []).map(entry => entry.vpa)
+].filter(Boolean))];
+
+const summarize = (lines, skipped) => ({
+    credits: lines.length,
+    skipped,
+    ...Object.fromEntries(RESULTS.map(result => [result, lines.filter(l => l.result === result).length]))
+});
+
+/**
+ * @desc    Upload a bank/UPI statement and settle the payments it covers
+ *          (body `vpa`: the merchant VPA it is for; required with several)
+ * @route   POST /api/admin/reconciliation/statements
+ * @access  Private (admin)
+ */
+export const importStatement = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'Statement file is required'
+            });
+        }
+
+        const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+        // With several merchant VPAs, a credit must only settle payments sent to its account
+        const vpas = merchantVpas(await Settings.getSettings());
+        const vpa = typeof req.body.vpa === 'string' && req.body.vpa.trim()
+            ? req.body.vpa.trim()
+            : (vpas.length === 1 ? vpas[0] : null);
+
+        if (!vpa && vpas.length > 1) {
+            return res.status(400).json({
+                success: false,
+                error: `vpa is required: the merchant VPA this statement is for (${vpas.join(', ')})`
+            });
+        }
+
+        // A VPA since removed from settings is fine while payments were made to it
+        if (vpa && !vpas.includes(vpa) && !await Transaction.exists({ upi: vpa })) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown merchant VPA: ${vpa}`
+            });
+        }
+
+        const { credits, skipped } = parseStatement(req.file.buffer);
+        const lines = await reconcileCredits(credits, { dryRun, vpa });
+
+        const statementImport = await StatementImport.create({
+            fileName: req.file.originalname,
+            uploadedBy: req.admin.username,
+            dryRun,
+            vpa,
+            summary: summarize(lines, skipped),
+            lines
+        });
+
+        console.log(`📄 Statement ${req.file.originalname}: ${statementImport.summary.matched}/${lines.length} credits matched`);
+
+        res.status(201).json({
+            success: true,
+            message: dryRun ? 'Statement checked (no payments updated)' : 'Statement imported',
+            data: statementImport
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('❌ Statement import error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to import statement',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    List statement imports
+ * @route   GET /api/admin/reconciliation/statements
+ * @access  Private (admin)
+ */
+export const getStatementImports = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const imports = await StatementImport.find()
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .select('-lines -__v');
+
+        const total = await StatementImport.countDocuments();
+
+        res.status(200).json({
+            success: true,
+            data: imports,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch statement imports',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get one statement import with its lines
+ * @route   GET /api/admin/reconciliation/statements/:id
+ * @access  Private (admin)
+ */
+export const getStatementImport = async (req, res) => {
+    try {
+        const statementImport = await StatementImport.findById(req.params.id).select('-__v');
+
+        if (!statementImport) {
+            return res.status(404).json({
+                success: false,
+                error: 'Statement import not found'
+            });
+        }
+
+        const { result } = req.query;
+        const data = statementImport.toObject();
+        if (result) {
+            data.lines = data.lines.filter(l => l.result === result);
+        }
+
+        res.status(200).json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid import ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch statement import',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Apply an ambiguous or unmatched credit to a chosen transaction
+ * @route   PUT /api/admin/reconciliation/statements/:id/lines/:lineNo
+ * @access  Private (admin)
+ */
+export const resolveStatementLine = async (req, res) => {
+    try {
+        const { tid } = req.body;
+        const lineNo = parseInt(req.params.lineNo);
+
+        if (!tid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Transaction ID is required'
+            });
+        }
+
+        const statementImport = await StatementImport.findById(req.params.id);
+        const line = statementImport?.lines.find(l => l.lineNo === lineNo);
+
+        if (!line) {
+            return res.status(404).json({
+                success: false,
+                error: 'Statement line not found'
+            });
+        }
+
+        if (statementImport.dryRun || !['ambiguous', 'unmatched'].includes(line.result)) {
+            return res.status(400).json({
+                success: false,
+                error: statementImport.dryRun
+                    ? 'Dry-run imports cannot be resolved; upload the statement again'
+                    : `Line is already ${line.result}`
+            });
+        }
+
+        const transaction = await Transaction.findOne({ tid });
+
+        if (!transaction) {
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+
+        if (statementImport.vpa && transaction.upi !== statementImport.vpa) {
+            return res.status(400).json({
+                success: false,
+                error: `Transaction was paid to ${transaction.upi}, not ${statementImport.vpa}`
+            });
+        }
+
+        if (Math.abs(transaction.amount - line.amount) > 0.005) {
+            return res.status(400).json({
+                success: false,
+                error: `Credit of ₹${line.amount} does not match transaction amount ₹${transaction.amount}`
+            });
+        }
+
+        const applied = await applyStatementCredit(tid, line, 'statement-review');
+
+        if (!applied) {
+            return res.status(409).json({
+                success: false,
+                error: `Transaction is already ${transaction.status}`
+            });
+        }
+
+        statementImport.summary[line.result] -= 1;
+        statementImport.summary.matched += 1;
+        line.result = 'matched';
+        line.tid = tid;
+        line.resolvedBy = req.admin.username;
+        line.resolvedAt = new Date();
+        await statementImport.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Statement line applied',
+            data: line
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid import ID format'
+            });
+        }
+
+        console.error('❌ Statement resolve error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resolve statement line',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Orders whose payment status disagrees with their transactions
+ * @route   GET /api/admin/reconciliation/payment-mismatches?days=30
+ * @access  Private (admin)
+ */
+export const getPaymentMismatches = async (req, res) => {
+    try {
+        const days = parseInt(req.query.days) || 30;
+        const mismatches = await findPaymentMismatches({ days });
+
+        res.status(200).json({
+            success: true,
+            count: mismatches.length,
+            data: mismatches
+        });
+    } catch (error) {
+        console.error('❌ Payment mismatch report error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build payment mismatch report',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Fix orders whose payment status disagrees with their transactions
+ * @route   POST /api/admin/reconciliation/payment-mismatches/fix
+ * @access  Private (admin)
+ */
+export const fixPaymentMismatches = async (req, res) => {
+    try {
+        const { orderIds, days } = req.body;
+
+        if (orderIds !== undefined && (!Array.isArray(orderIds) || orderIds.some(id => !/^[0-9a-fA-F]{24}$/.test(id)))) {
+            return res.status(400).json({
+                success: false,
+                error: 'orderIds must be an array of order IDs'
+            });
+        }
+
+        // Re-checked now rather than trusting an earlier report
+        const mismatches = await findPaymentMismatches({ days: parseInt(days) || 30, orderIds });
+        const actor = { type: 'admin', id: req.admin._id, name: req.admin.username };
+
+        const fixed = [];
+        const failed = [];
+
+        for (const mismatch of mismatches) {
+            try {
+                await fixPaymentMismatch(mismatch, actor);
+                fixed.push(mismatch.orderNumber);
+            } catch (error) {
+                failed.push({ orderNumber: mismatch.orderNumber, error: error.message });
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Fixed ${fixed.length} of ${mismatches.length} order(s)`,
+            data: { fixed, failed }
+        });
+    } catch (error) {
+        console.error('❌ Payment mismatch fix error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fix payment mismatches',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,236 @@
+import Refund from '../models/Refund.js';
+import Transaction from '../models/Transaction.js';
+import Order from '../models/Order.js';
+import { openRefund, markRefundProcessed, markRefundFailed } from '../utils/refunds.js';
+
+const sendRefundError = (res, error, fallback) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (error.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid refund ID format'
+        });
+    }
+
+    console.error(`❌ ${fallback}:`, error);
+    res.status(500).json({
+        success: false,
+        error: fallback,
+        message: error.message
+    });
+};
+
+/**
+ * @desc    List refunds
+ * @route   GET /api/admin/refunds
+ * @access  Private (admin)
+ */
+export const getRefunds = async (req, res) => {
+    try {
+        const { status, source, tid, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (source) query.source = source;
+        if (tid) query.tid = tid;
+
+        const refunds = await Refund.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .select('-__v');
+
+        const total = await Refund.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: refunds,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        sendRefundError(res, error, 'Failed to fetch refunds');
+    }
+};
+
+/**
+ * @desc    Refunds recorded against one payment, with totals
+ * @route   GET /api/admin/refunds/transaction/:tid
+ * @access  Private (admin)
+ */
+export const getTransactionRefunds = async (req, res) => {
+    try {
+        const transaction = await Transaction.findOne({ tid: req.params.tid });
+
+        if (!transaction) {
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+
+        const refunds = await Refund.find({ transactionId: transaction._id })
+            .sort({ createdAt: -1 })
+            .select('-__v');
+
+        const sumByStatus = (status) => refunds
+            .filter(r => r.status === status)
+            .reduce((sum, r) => sum + r.amount, 0);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tid: transaction.tid,
+                amount: transaction.amount,
+                status: transaction.status,
+                refundedAmount: transaction.refundedAmount,
+                pendingAmount: sumByStatus('pending'),
+                refundableAmount: Math.round((transaction.amount - sumByStatus('processed') - sumByStatus('pending')) * 100) / 100,
+                refunds
+            }
+        });
+    } catch (error) {
+        sendRefundError(res, error, 'Failed to fetch refunds');
+    }
+};
+
+/**
+ * @desc    Record a refund against a payment
+ * @route   POST /api/admin/refunds
+ * @access  Private (admin)
+ */
+export const createRefund = async (req, res) => {
+    try {
+        const { tid, amount, reason, upiRef } = req.body;
+
+        if (!tid || !reason) {
+            return res.status(400).json({
+                success: false,
+                error: 'Transaction ID and reason are required'
+            });
+        }
+
+        const parsedAmount = amount === undefined ? undefined : parseFloat(amount);
+        if (parsedAmount !== undefined && (isNaN(parsedAmount) || parsedAmount <= 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Amount must be a positive number'
+            });
+        }
+
+        const transaction = await Transaction.findOne({ tid });
+
+        if (!transaction) {
+            return res.status(404).json({
+                success: false,
+                error: 'Transaction not found'
+            });
+        }
+
+        if (!['success', 'partially_refunded'].includes(transaction.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot refund a ${transaction.status} transaction`
+            });
+        }
+
+        const order = transaction.orderId ? await Order.findById(transaction.orderId) : null;
+
+        const refund = await openRefund({
+            transaction,
+            order,
+            amount: parsedAmount,
+            source: 'manual',
+            reason,
+            initiatedBy: req.admin.username,
+            upiRef
+        });
+
+        if (!refund) {
+            return res.status(400).json({
+                success: false,
+                error: 'Nothing left to refund on this transaction'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: refund.status === 'processed' ? 'Refund recorded' : 'Refund opened',
+            data: refund
+        });
+    } catch (error) {
+        sendRefundError(res, error, 'Failed to record refund');
+    }
+};
+
+/**
+ * @desc    Mark a pending refund as paid out
+ * @route   PUT /api/admin/refunds/:id/process
+ * @access  Private (admin)
+ */
+export const processRefund = async (req, res) => {
+    try {
+        const { upiRef } = req.body;
+
+        if (!upiRef) {
+            return res.status(400).json({
+                success: false,
+                error: 'UPI reference of the refund transfer is required'
+            });
+        }
+
+        const refund = await markRefundProcessed(req.params.id, {
+            upiRef,
+            processedBy: req.admin.username
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Refund marked as processed',
+            data: refund
+        });
+    } catch (error) {
+        sendRefundError(res, error, 'Failed to process refund');
+    }
+};
+
+/**
+ * @desc    Mark a pending refund as failed
+ * @route   PUT /api/admin/refunds/:id/fail
+ * @access  Private (admin)
+ */
+export const failRefund = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                error: 'Failure reason is required'
+            });
+        }
+
+        const refund = await markRefundFailed(req.params.id, {
+            reason,
+            processedBy: req.admin.username
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Refund marked as failed',
+            data: refund
+        });
+    } catch (error) {
+        sendRefundError(res, error, 'Failed to update refund');
+    }
+};
@@ -0,0 +1,76 @@
+import {
+    parseReportQuery,
+    buildTransactionReport,
+    buildRevenueReport,
+    totalReport,
+    toCsv
+} from '../utils/reports.js';
+
+const sendReport = (req, res, name, query, rows) => {
+    if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${name}-${query.from}-to-${query.to}.csv"`);
+        return res.status(200).send(toCsv(rows));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            from: query.from,
+            to: query.to,
+            period: query.period,
+            groupBy: query.groupBy,
+            rows,
+            totals: totalReport(rows)
+        }
+    });
+};
+
+const sendError = (res, error, message) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    console.error(`❌ ${message}:`, error);
+    res.status(500).json({
+        success: false,
+        error: message,
+        message: error.message
+    });
+};
+
+/**
+ * @desc    Payment attempts, success rate, average ticket and net takings
+ *          by day/week/month, optionally by payType, merchant VPA and status
+ * @route   GET /api/admin/reports/transactions?from&to&period&groupBy&format=csv
+ * @access  Private (admin)
+ */
+export const getTransactionReport = async (req, res) => {
+    try {
+        const query = parseReportQuery(req.query);
+        const rows = await buildTransactionReport(query);
+
+        sendReport(req, res, 'transactions', query, rows);
+    } catch (error) {
+        sendError(res, error, 'Failed to build transaction report');
+    }
+};
+
+/**
+ * @desc    Online and cash-on-delivery money in, refunds out and net, by day/week/month
+ * @route   GET /api/admin/reports/revenue?from&to&period&format=csv
+ * @access  Private (admin)
+ */
+export const getRevenueReport = async (req, res) => {
+    try {
+        const query = parseReportQuery({ ...req.query, groupBy: '' });
+        const rows = await buildRevenueReport(query);
+
+        sendReport(req, res, 'revenue', query, rows);
+    } catch (error) {
+        sendError(res, error, 'Failed to build revenue report');
+    }
+};
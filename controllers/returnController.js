@@ -0,0 +1,441 @@
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { releaseStock } from '../utils/stock.js';
+import { createRefundForOrder } from '../utils/refunds.js';
+
+const RETURN_WINDOW_DAYS = 7;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// When the order reached `delivered`, from its status history
+const deliveredAt = (order) => {
+    const entry = [...order.statusHistory].reverse().find(h => h.to === 'delivered');
+    return entry?.at || order.updatedAt;
+};
+
+/*
+ * Each order line counts the units tied up in open or approved returns. A
+ * return claims its quantities with one conditional update on those counts,
+ * so concurrent requests cannot together return more than was delivered.
+ */
+
+// Orders from before lines kept count start from their return requests
+const seedReturnedQuantities = async (order) => {
+    if (order.products.every(line => line.returnedQuantity !== undefined)) return;
+
+    const previousReturns = await ReturnRequest.find({ orderId: order._id, status: { $ne: 'rejected' } });
+    const returned = new Map();
+    for (const ret of previousReturns) {
+        for (const item of ret.items) {
+            returned.set(item.productId, (returned.get(item.productId) || 0) + item.quantity);
+        }
+    }
+
+    await Order.updateOne(
+        { _id: order._id, 'products.returnedQuantity': { $exists: false } },
+        {
+            $set: Object.fromEntries(order.products.map((line, index) => [
+                `products.${index}.returnedQuantity`, returned.get(line.productId) || 0
+            ]))
+        }
+    );
+};
+
+const claimReturnQuantities = async (order, quantities) => {
+    const entries = [...quantities.entries()];
+
+    const claimed = await Order.updateOne(
+        {
+            _id: order._id,
+            $and: entries.map(([productId, quantity]) => ({
+                products: {
+                    $elemMatch: {
+                        productId,
+                        returnedQuantity: {
+                            $lte: order.products.find(p => p.productId === productId).quantity - quantity
+                        }
+                    }
+                }
+            }))
+        },
+        {
+            $inc: Object.fromEntries(entries.map(([, quantity], index) => [
+                `products.$[line${index}].returnedQuantity`, quantity
+            ]))
+        },
+        { arrayFilters: entries.map(([productId], index) => ({ [`line${index}.productId`]: productId })) }
+    );
+    return claimed.modifiedCount > 0;
+};
+
+const releaseReturnQuantities = (orderId, items) => {
+    const quantities = new Map();
+    for (const item of items) {
+        quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+    }
+    const entries = [...quantities.entries()];
+
+    return Order.updateOne(
+        { _id: orderId },
+        {
+            $inc: Object.fromEntries(entries.map(([, quantity], index) => [
+                `products.$[line${index}].returnedQuantity`, -quantity
+            ]))
+        },
+        { arrayFilters: entries.map(([productId], index) => ({ [`line${index}.productId`]: productId })) }
+    );
+};
+
+/**
+ * @desc    Request a return for some or all items of a delivered order
+ * @route   POST /api/order/order/:id/return
+ * @access  Private (customer)
+ */
+export const requestReturn = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { items, reason, note } = req.body;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid order ID format'
+            });
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Select at least one item to return'
+            });
+        }
+
+        const order = await Order.findOne({ _id: id, userId: req.user._id });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        if (order.status !== 'delivered') {
+            return res.status(400).json({
+                success: false,
+                error: 'Only delivered orders can be returned'
+            });
+        }
+
+        const windowEnds = new Date(deliveredAt(order).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        if (new Date() > windowEnds) {
+            return res.status(400).json({
+                success: false,
+                error: `Returns are accepted within ${RETURN_WINDOW_DAYS} days of delivery`
+            });
+        }
+
+        await seedReturnedQuantities(order);
+        const current = await Order.findById(order._id).select('products.productId products.returnedQuantity');
+        const alreadyReturned = new Map(current.products.map(line => [line.productId, line.returnedQuantity || 0]));
+        const requested = new Map();
+
+        const { subtotal, couponDiscount } = order.orderSummary;
+        const returnItems = [];
+
+        for (const item of items) {
+            const line = order.products.find(p => p.productId === item.productId);
+            const quantity = Number(item.quantity);
+
+            if (!line) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Product ${item.productId} is not part of this order`
+                });
+            }
+
+            const returnable = line.quantity - (alreadyReturned.get(line.productId) || 0);
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+                return res.status(400).json({
+                    success: false,
+                    error: `You can return up to ${returnable} of ${line.name}`
+                });
+            }
+            alreadyReturned.set(line.productId, (alreadyReturned.get(line.productId) || 0) + quantity);
+            requested.set(line.productId, (requested.get(line.productId) || 0) + quantity);
+
+            // Each line gives back its proportional share of the coupon discount
+            const lineTotal = line.dmartPrice * quantity;
+            const couponShare = subtotal > 0 ? couponDiscount * lineTotal / subtotal : 0;
+
+            returnItems.push({
+                productId: line.productId,
+                name: line.name,
+                quantity,
+                unitPrice: line.dmartPrice,
+                refundAmount: roundMoney(lineTotal - couponShare)
+            });
+        }
+
+        if (!await claimReturnQuantities(order, requested)) {
+            return res.status(409).json({
+                success: false,
+                error: 'These items were just included in another return request. Please review and try again.'
+            });
+        }
+
+        let returnRequest;
+        try {
+            returnRequest = await ReturnRequest.create({
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                userId: req.user._id,
+                items: returnItems,
+                reason,
+                note,
+                refundAmount: roundMoney(returnItems.reduce((sum, i) => sum + i.refundAmount, 0))
+            });
+        } catch (error) {
+            await releaseReturnQuantities(order._id, returnItems);
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Return requested successfully',
+            data: returnRequest
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+
+        console.error('Return request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to request return',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get logged-in customer's return requests
+ * @route   GET /api/order/my-returns
+ * @access  Private (customer)
+ */
+export const getMyReturns = async (req, res) => {
+    try {
+        const returns = await ReturnRequest.find({ userId: req.user._id })
+            .sort({ createdAt: -1 })
+            .select('-__v');
+
+        res.status(200).json({
+            success: true,
+            data: returns
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch returns',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    List return requests
+ * @route   GET /api/admin/returns
+ * @access  Private (admin)
+ */
+export const getReturns = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (status) {
+            query.status = status;
+        }
+
+        const returns = await ReturnRequest.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .select('-__v');
+
+        const total = await ReturnRequest.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: returns,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch returns',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Approve a return and open its refund
+ * @route   PUT /api/admin/returns/:id/approve
+ * @access  Private (admin)
+ */
+export const approveReturn = async (req, res) => {
+    try {
+        const { note, restock } = req.body;
+
+        // Claim the request first so it cannot be approved twice
+        const returnRequest = await ReturnRequest.findOneAndUpdate(
+            { _id: req.params.id, status: 'requested' },
+            {
+                status: 'approved',
+                reviewedBy: req.admin.username,
+                reviewedAt: new Date(),
+                reviewNote: note
+            },
+            { new: true }
+        );
+
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                error: 'Open return request not found'
+            });
+        }
+
+        let refund;
+        try {
+            const order = await Order.findById(returnRequest.orderId);
+            refund = await createRefundForOrder(order, {
+                amount: returnRequest.refundAmount,
+                source: 'return',
+                reason: returnRequest.reason,
+                returnRequestId: returnRequest._id,
+                initiatedBy: req.admin.username
+            });
+        } catch (error) {
+            // Reopen the request so the approval can be retried
+            await ReturnRequest.updateOne(
+                { _id: returnRequest._id, status: 'approved', refundId: null },
+                {
+                    status: 'requested',
+                    $unset: { reviewedBy: 1, reviewedAt: 1, reviewNote: 1 }
+                }
+            );
+            throw error;
+        }
+
+        if (refund) {
+            returnRequest.refundId = refund._id;
+            await returnRequest.save();
+        }
+
+        if (restock === true || restock === 'true') {
+            await releaseStock(returnRequest.items);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Return approved',
+            data: { returnRequest, refund }
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid return ID format'
+            });
+        }
+
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Return approve error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to approve return',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Reject a return
+ * @route   PUT /api/admin/returns/:id/reject
+ * @access  Private (admin)
+ */
+export const rejectReturn = async (req, res) => {
+    try {
+        const { note } = req.body;
+
+        if (!note) {
+            return res.status(400).json({
+                success: false,
+                error: 'A note explaining the rejection is required'
+            });
+        }
+
+        // Seeded while this request still counts, so releasing it below is exact
+        const open = await ReturnRequest.findOne({ _id: req.params.id, status: 'requested' });
+        const order = open && await Order.findById(open.orderId);
+        if (order) {
+            await seedReturnedQuantities(order);
+        }
+
+        const returnRequest = await ReturnRequest.findOneAndUpdate(
+            { _id: req.params.id, status: 'requested' },
+            {
+                status: 'rejected',
+                reviewedBy: req.admin.username,
+                reviewedAt: new Date(),
+                reviewNote: note
+            },
+            { new: true }
+        );
+
+        if (!returnRequest) {
+            return res.status(404).json({
+                success: false,
+                error: 'Open return request not found'
+            });
+        }
+
+        // The items can be returned again
+        await releaseReturnQuantities(returnRequest.orderId, returnRequest.items);
+
+        res.status(200).json({
+            success: true,
+            message: 'Return rejected',
+            data: returnRequest
+        });
+    } catch (error) {
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid return ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reject return',
+            message: error.message
+        });
+    }
+};
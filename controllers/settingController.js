@@ -1,9 +1,44 @@
 import Settings from '../models/Setting.js';
+import { hasPermission } from '../config/permissions.js';
+import { upiDay, getMerchantUpiUsage as loadMerchantUpiUsage } from '../utils/merchantUpi.js';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_USAGE_DAYS = 31;
+
+// Only owners may change these
+const SECURITY_FIELDS = ['requireAdmin2fa'];
+
+// Fields that decide where customer payments go
+const PAYMENT_FIELDS = [
+    'merchantUPI', 'merchantSecret', 'merchantUPIPool', 'upiRotation',
+    'paymentMatchMode', 'maxAmountOffsetPaise', 'matchWindowMinutes'
+];
+
+// What the storefront needs; served without auth
+const publicSettings = (settings) => ({
+    merchantUPI: settings.merchantUPI || '',
+    siteName: settings.siteName || '',
+    siteEmail: settings.siteEmail || '',
+    deliveryFee: settings.deliveryFee,
+    freeDeliveryThreshold: settings.freeDeliveryThreshold,
+    rejectPriceMismatch: settings.rejectPriceMismatch
+});
+
+// Adds the 2FA policy and the payment routing and matching setup, for admins with settings:payment
+const adminSettings = (settings) => ({
+    ...publicSettings(settings),
+    requireAdmin2fa: settings.requireAdmin2fa,
+    merchantUPIPool: settings.merchantUPIPool,
+    upiRotation: settings.upiRotation,
+    paymentMatchMode: settings.paymentMatchMode,
+    maxAmountOffsetPaise: settings.maxAmountOffsetPaise,
+    matchWindowMinutes: settings.matchWindowMinutes
+});
 
 /**
- * @desc    Get current settings
+ * @desc    Get storefront settings
  * @route   GET /api/settings
- * @access  Public (or add admin auth)
+ * @access  Public
  */
 export const getSettings = async (req, res) => {
     try {
@@ -11,11 +46,30 @@ export const getSettings = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: {
-                merchantUPI: settings.merchantUPI || '',
-                siteName: settings.siteName || '',
-                siteEmail: settings.siteEmail || ''
-            }
+            data: publicSettings(settings)
+        });
+    } catch (error) {
+        console.error('❌ Error fetching settings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch settings',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get all settings, including the merchant UPI pool and payment matching
+ * @route   GET /api/admin/settings
+ * @access  Private (admin: settings:payment)
+ */
+export const getAdminSettings = async (req, res) => {
+    try {
+        const settings = await Settings.getSettings();
+
+        res.status(200).json({
+            success: true,
+            data: adminSettings(settings)
         });
     } catch (error) {
         console.error('❌ Error fetching settings:', error);
@@ -30,11 +84,32 @@ export const getSettings = async (req, res) => {
 /**
  * @desc    Update settings
  * @route   PUT /api/settings
- * @access  Admin only (add authentication middleware)
+ * @access  Private (admin: settings:edit, plus settings:payment for payment fields)
  */
 export const updateSettings = async (req, res) => {
     try {
-        const { merchantUPI, merchantSecret, siteName, siteEmail } = req.body;
+        const {
+            merchantUPI, merchantSecret, siteName, siteEmail,
+            deliveryFee, freeDeliveryThreshold, rejectPriceMismatch,
+            paymentMatchMode, maxAmountOffsetPaise, matchWindowMinutes,
+            merchantUPIPool, upiRotation, requireAdmin2fa
+        } = req.body;
+
+        const paymentFields = PAYMENT_FIELDS.filter(field => req.body[field] !== undefined);
+        if (paymentFields.length > 0 && !hasPermission(req.admin, 'settings:payment')) {
+            return res.status(403).json({
+                success: false,
+                error: `Only an owner can change payment settings (${paymentFields.join(', ')})`
+            });
+        }
+
+        const securityFields = SECURITY_FIELDS.filter(field => req.body[field] !== undefined);
+        if (securityFields.length > 0 && !hasPermission(req.admin, 'admins:manage')) {
+            return res.status(403).json({
+                success: false,
+                error: `Only an owner can change security settings (${securityFields.join(', ')})`
+            });
+        }
 
         // Validate UPI ID format
         if (merchantUPI && !/^[\w.-]+@[\w.-]+$/.test(merchantUPI.trim())) {
@@ -44,6 +119,36 @@ export const updateSettings = async (req, res) => {
             });
         }
 
+        for (const [field, value] of Object.entries({ deliveryFee, freeDeliveryThreshold })) {
+            if (value !== undefined && (isNaN(parseFloat(value)) || parseFloat(value) < 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be a non-negative number`
+                });
+            }
+        }
+
+        if (paymentMatchMode !== undefined && !['off', 'amount', 'note'].includes(paymentMatchMode)) {
+            return res.status(400).json({
+                success: false,
+                error: 'paymentMatchMode must be one of: off, amount, note'
+            });
+        }
+
+        if (merchantUPIPool !== undefined && !Array.isArray(merchantUPIPool)) {
+            return res.status(400).json({
+                success: false,
+                error: 'merchantUPIPool must be an array'
+            });
+        }
+
+        if (upiRotation !== undefined && !['round_robin', 'least_used'].includes(upiRotation)) {
+            return res.status(400).json({
+                success: false,
+                error: 'upiRotation must be one of: round_robin, least_used'
+            });
+        }
+
         const settings = await Settings.getSettings();
 
         // Update fields if provided
@@ -51,6 +156,26 @@ export const updateSettings = async (req, res) => {
         if (merchantSecret !== undefined) settings.merchantSecret = merchantSecret;
         if (siteName !== undefined) settings.siteName = siteName.trim();
         if (siteEmail !== undefined) settings.siteEmail = siteEmail.trim();
+        if (deliveryFee !== undefined) settings.deliveryFee = parseFloat(deliveryFee);
+        if (freeDeliveryThreshold !== undefined) settings.freeDeliveryThreshold = parseFloat(freeDeliveryThreshold);
+        if (rejectPriceMismatch !== undefined) settings.rejectPriceMismatch = rejectPriceMismatch === true || rejectPriceMismatch === 'true';
+        if (paymentMatchMode !== undefined) settings.paymentMatchMode = paymentMatchMode;
+        if (maxAmountOffsetPaise !== undefined) settings.maxAmountOffsetPaise = parseInt(maxAmountOffsetPaise);
+        if (matchWindowMinutes !== undefined) settings.matchWindowMinutes = parseInt(matchWindowMinutes);
+        if (upiRotation !== undefined) settings.upiRotation = upiRotation;
+        if (requireAdmin2fa !== undefined) settings.requireAdmin2fa = requireAdmin2fa === true || requireAdmin2fa === 'true';
+
+        // The pool is replaced as a whole; the schema validates each entry
+        if (merchantUPIPool !== undefined) {
+            settings.merchantUPIPool = merchantUPIPool.map(entry => ({
+                vpa: entry.vpa?.trim(),
+                label: entry.label,
+                active: entry.active === undefined ? true : entry.active === true || entry.active === 'true',
+                weight: entry.weight === undefined ? 1 : parseInt(entry.weight),
+                dailyAmountLimit: parseFloat(entry.dailyAmountLimit) || 0,
+                dailyCountLimit: parseInt(entry.dailyCountLimit) || 0
+            }));
+        }
 
         settings.settingsVersion += 1;
 
@@ -59,19 +184,25 @@ export const updateSettings = async (req, res) => {
 
         console.log('✅ Settings updated successfully:', {
             merchantUPI: settings.merchantUPI,
-            siteName: settings.siteName
+            siteName: settings.siteName,
+            by: req.admin.username
         });
 
         res.status(200).json({
             success: true,
             message: 'Settings updated successfully',
-            data: {
-                merchantUPI: settings.merchantUPI,
-                siteName: settings.siteName,
-                siteEmail: settings.siteEmail
-            }
+            data: hasPermission(req.admin, 'settings:payment')
+                ? adminSettings(settings)
+                : publicSettings(settings)
         });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+
         console.error('❌ Error updating settings:', error);
         res.status(500).json({
             success: false,
@@ -103,3 +234,49 @@ export const getMerchantUPI = async (req, res) => {
         });
     }
 };
+
+/**
+ * @desc    Per-VPA daily totals for the merchant UPI pool
+ * @route   GET /api/admin/merchant-upi/usage?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access  Private (admin)
+ */
+export const getMerchantUpiUsage = async (req, res) => {
+    try {
+        const today = upiDay();
+        const { from = today, to = today } = req.query;
+
+        if (!DAY_PATTERN.test(from) || !DAY_PATTERN.test(to) || from > to) {
+            return res.status(400).json({
+                success: false,
+                error: 'from and to must be dates (YYYY-MM-DD) with from on or before to'
+            });
+        }
+
+        if ((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) >= MAX_USAGE_DAYS) {
+            return res.status(400).json({
+                success: false,
+                error: `At most ${MAX_USAGE_DAYS} days can be requested at once`
+            });
+        }
+
+        const settings = await Settings.getSettings();
+        const usage = await loadMerchantUpiUsage(from, to, settings);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from,
+                to,
+                upiRotation: settings.upiRotation,
+                usage
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error fetching merchant UPI usage:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch merchant UPI usage',
+            message: error.message
+        });
+    }
+};
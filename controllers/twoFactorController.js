@@ -0,0 +1,149 @@
+import Admin from '../models/Admin.js';
+import {
+    beginTwoFactorSetup,
+    confirmTwoFactorSetup,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    isTwoFactorRequired
+} from '../utils/adminTwoFactor.js';
+
+const sendTwoFactorError = (res, error, message) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`❌ ${message}:`, error);
+    res.status(500).json({
+        success: false,
+        message,
+        error: error.message
+    });
+};
+
+/**
+ * @desc    Two-factor status of the current admin
+ * @route   GET /api/admin/2fa
+ * @access  Private (any admin)
+ */
+export const getTwoFactorStatus = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.admin._id).select('+twoFactor.recoveryCodes');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                enabled: Boolean(admin.twoFactor?.enabled),
+                enabledAt: admin.twoFactor?.enabledAt,
+                recoveryCodesLeft: admin.twoFactor?.recoveryCodes?.length || 0,
+                required: await isTwoFactorRequired()
+            }
+        });
+    } catch (error) {
+        sendTwoFactorError(res, error, 'Error fetching two-factor status');
+    }
+};
+
+/**
+ * @desc    Start 2FA enrollment: secret, otpauth URI and QR for an authenticator app
+ * @route   POST /api/admin/2fa/setup
+ * @access  Private (any admin)
+ */
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const setup = await beginTwoFactorSetup(req.admin);
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code, then confirm with a code from the app',
+            data: setup
+        });
+    } catch (error) {
+        sendTwoFactorError(res, error, 'Error starting two-factor setup');
+    }
+};
+
+/**
+ * @desc    Confirm enrollment with a code; returns recovery codes (shown once)
+ * @route   POST /api/admin/2fa/enable
+ * @access  Private (any admin)
+ */
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const recoveryCodes = await confirmTwoFactorSetup(req.admin._id, req.body.code);
+
+        console.log(`🔐 Admin ${req.admin.username} enabled two-factor authentication`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        sendTwoFactorError(res, error, 'Error enabling two-factor authentication');
+    }
+};
+
+/**
+ * @desc    Replace recovery codes (needs a current code)
+ * @route   POST /api/admin/2fa/recovery-codes
+ * @access  Private (any admin)
+ */
+export const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+    try {
+        await verifySecondFactor(req.admin._id, { code: req.body.code });
+        const recoveryCodes = await regenerateRecoveryCodes(req.admin._id);
+
+        console.log(`🔐 Admin ${req.admin.username} regenerated recovery codes`);
+
+        res.status(200).json({
+            success: true,
+            message: 'New recovery codes generated; the old ones no longer work',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        sendTwoFactorError(res, error, 'Error generating recovery codes');
+    }
+};
+
+/**
+ * @desc    Turn off 2FA (needs the password and a code or recovery code)
+ * @route   POST /api/admin/2fa/disable
+ * @access  Private (any admin)
+ */
+export const disableOwnTwoFactor = async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        if (await isTwoFactorRequired()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is required for all admins'
+            });
+        }
+
+        const admin = await Admin.findById(req.admin._id).select('+password');
+
+        if (!password || !await admin.comparePassword(password)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Password is incorrect'
+            });
+        }
+
+        await verifySecondFactor(admin._id, { code, recoveryCode });
+        await disableTwoFactor(admin._id);
+
+        console.log(`🔓 Admin ${admin.username} disabled two-factor authentication`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        sendTwoFactorError(res, error, 'Error disabling two-factor authentication');
+    }
+};
@@ -0,0 +1,360 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Otp from '../models/Otp.js';
+import { generateUserToken } from '../middleware/auth.js';
+import { sendSms } from '../utils/sms/index.js';
+
+const PHONE_REGEX = /^[6-9]\d{9}$/;
+const OTP_EXPIRY_SECONDS = 5 * 60;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
+const OTP_MAX_SENDS_PER_HOUR = 5;
+
+const isString = (value) => typeof value === 'string';
+
+// Shape returned to the storefront; never includes the password hash
+const toUserResponse = (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    phoneVerified: user.phoneVerified
+});
+
+/**
+ * @desc    Register a customer account
+ * @route   POST /api/user/signup
+ * @access  Public
+ */
+export const signup = async (req, res) => {
+    try {
+        const { name, email, phone, password } = req.body;
+
+        if (!name || !password || (!email && !phone)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name, password and an email or phone are required'
+            });
+        }
+
+        if (![name, password].every(isString) || ![email, phone].every(v => !v || isString(v))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name, password, email and phone must be text'
+            });
+        }
+
+        const identifiers = [];
+        if (email) identifiers.push({ email: email.trim().toLowerCase() });
+        if (phone) identifiers.push({ phone: phone.trim() });
+
+        const existingUser = await User.findOne({ $or: identifiers });
+
+        if (existingUser) {
+            return res.status(409).json({
+                success: false,
+                error: 'An account with this email or phone already exists'
+            });
+        }
+
+        const user = await User.create({
+            name: name.trim(),
+            email: email || undefined,
+            phone: phone || undefined,
+            password
+        });
+
+        const token = generateUserToken(user._id);
+
+        res.status(201).json({
+            success: true,
+            token,
+            user: toUserResponse(user)
+        });
+    } catch (error) {
+        console.error('❌ Signup error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Signup failed',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Customer login with email or phone
+ * @route   POST /api/user/login
+ * @access  Public
+ */
+export const login = async (req, res) => {
+    try {
+        const { identifier, password } = req.body;
+
+        if (!isString(identifier) || !isString(password) || !identifier || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email or phone and password are required'
+            });
+        }
+
+        const value = identifier.trim();
+        const user = await User.findOne({
+            $or: [{ email: value.toLowerCase() }, { phone: value }]
+        }).select('+password');
+
+        if (!user || !user.isActive || !(await user.comparePassword(password))) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid credentials'
+            });
+        }
+
+        await user.updateLastLogin();
+        const token = generateUserToken(user._id);
+
+        res.status(200).json({
+            success: true,
+            token,
+            user: toUserResponse(user)
+        });
+    } catch (error) {
+        console.error('❌ User login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Login failed',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get logged-in customer's profile
+ * @route   GET /api/user/profile
+ * @access  Private (customer)
+ */
+export const getProfile = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: toUserResponse(req.user)
+    });
+};
+
+/**
+ * @desc    Update logged-in customer's profile
+ * @route   PUT /api/user/profile
+ * @access  Private (customer)
+ */
+export const updateProfile = async (req, res) => {
+    try {
+        const { name, email } = req.body;
+        const user = req.user;
+
+        if ((name !== undefined && !isString(name)) || (email !== undefined && !isString(email))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name and email must be text'
+            });
+        }
+
+        if (name !== undefined) user.name = name.trim();
+        if (email !== undefined) user.email = email.trim() || undefined;
+
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile updated successfully',
+            data: toUserResponse(user)
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'Email is already in use'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update profile',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Send a login OTP to a mobile number
+ * @route   POST /api/user/otp/request
+ * @access  Public
+ */
+export const requestOtp = async (req, res) => {
+    try {
+        const phone = req.body.phone?.toString().trim();
+
+        if (!phone || !PHONE_REGEX.test(phone)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid 10-digit mobile number is required'
+            });
+        }
+
+        const now = new Date();
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        const windowStart = new Date(now.getTime() - 60 * 60 * 1000);
+        const sameWindow = { $gt: ['$sendWindowStart', windowStart] };
+
+        // The cooldown and hourly cap are checked in the same update that takes
+        // the send, so parallel requests cannot slip past them. A blocked
+        // request falls through to an insert that fails on the unique phone.
+        try {
+            await Otp.findOneAndUpdate(
+                {
+                    phone,
+                    lastSentAt: { $lte: new Date(now.getTime() - OTP_RESEND_COOLDOWN_SECONDS * 1000) },
+                    $or: [
+                        { sendWindowStart: { $lte: windowStart } },
+                        { sendCount: { $lt: OTP_MAX_SENDS_PER_HOUR } }
+                    ]
+                },
+                [{
+                    $set: {
+                        otpHash: Otp.hashCode(phone, code),
+                        expiresAt: new Date(now.getTime() + OTP_EXPIRY_SECONDS * 1000),
+                        attempts: 0,
+                        lastSentAt: now,
+                        sendCount: { $cond: [sameWindow, { $add: ['$sendCount', 1] }, 1] },
+                        sendWindowStart: { $cond: [sameWindow, '$sendWindowStart', now] }
+                    }
+                }],
+                { upsert: true }
+            );
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+
+            const existing = await Otp.findOne({ phone });
+            const sinceLastSend = existing ? (now - existing.lastSentAt) / 1000 : 0;
+
+            if (sinceLastSend < OTP_RESEND_COOLDOWN_SECONDS) {
+                const retryAfter = Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - sinceLastSend);
+                return res.status(429).json({
+                    success: false,
+                    error: `Please wait ${retryAfter} seconds before requesting another OTP`,
+                    retryAfter
+                });
+            }
+
+            return res.status(429).json({
+                success: false,
+                error: 'Too many OTP requests. Please try again later.'
+            });
+        }
+
+        await sendSms(phone, `${code} is your login OTP. It is valid for ${OTP_EXPIRY_SECONDS / 60} minutes. Do not share it with anyone.`);
+
+        res.status(200).json({
+            success: true,
+            message: 'OTP sent successfully',
+            expiresIn: OTP_EXPIRY_SECONDS,
+            resendAfter: OTP_RESEND_COOLDOWN_SECONDS
+        });
+    } catch (error) {
+        console.error('❌ OTP request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send OTP',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Verify a login OTP and issue a customer token
+ * @route   POST /api/user/otp/verify
+ * @access  Public
+ */
+export const verifyOtp = async (req, res) => {
+    try {
+        const phone = req.body.phone?.toString().trim();
+        const otp = req.body.otp?.toString().trim();
+        const { name } = req.body;
+
+        if (!phone || !otp) {
+            return res.status(400).json({
+                success: false,
+                error: 'Phone and OTP are required'
+            });
+        }
+
+        // Count the attempt atomically so parallel guesses cannot exceed the limit
+        const record = await Otp.findOneAndUpdate(
+            { phone, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+            { $inc: { attempts: 1 } },
+            { new: true }
+        );
+
+        if (!record) {
+            return res.status(400).json({
+                success: false,
+                error: 'OTP expired or attempt limit reached. Please request a new OTP.'
+            });
+        }
+
+        if (!record.matches(otp)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid OTP',
+                attemptsLeft: OTP_MAX_ATTEMPTS - record.attempts
+            });
+        }
+
+        // Single use
+        await Otp.deleteOne({ _id: record._id });
+
+        let user = await User.findOne({ phone });
+
+        if (!user) {
+            user = new User({
+                name: name?.trim() || 'Customer',
+                phone
+            });
+        } else if (!user.isActive) {
+            return res.status(401).json({
+                success: false,
+                error: 'Account is deactivated'
+            });
+        }
+
+        user.phoneVerified = true;
+        await user.updateLastLogin();
+
+        const token = generateUserToken(user._id);
+
+        res.status(200).json({
+            success: true,
+            token,
+            user: toUserResponse(user)
+        });
+    } catch (error) {
+        console.error('❌ OTP verify error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify OTP',
+            message: error.message
+        });
+    }
+};
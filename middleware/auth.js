@@ -1,5 +1,9 @@
 import jwt from 'jsonwebtoken';
 import Admin from '../models/Admin.js';
+import User from '../models/User.js';
+import AdminSession from '../models/AdminSession.js';
+import Settings from '../models/Setting.js';
+import { PERMISSIONS, hasPermission } from '../config/permissions.js';
 
 // Admin authentication middleware
 const adminAuth = async (req, res, next) => {
@@ -18,6 +22,31 @@ const adminAuth = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Customer, payment-stream and 2FA-step tokens are signed with the same secret; never accept them here
+        if (decoded.type) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid admin token'
+            });
+        }
+
+        // Ended (logged out or revoked) sessions take their access tokens with them;
+        // tokens from before sessions existed have none and are refused
+        const session = decoded.sid && await AdminSession.findOne({
+            _id: decoded.sid,
+            adminId: decoded.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        });
+
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has ended. Please log in again.'
+            });
+        }
+
         const admin = await Admin.findById(decoded.id).select('-password');
 
         if (!admin) {
@@ -34,7 +63,147 @@ const adminAuth = async (req, res, next) => {
             });
         }
 
+        if (admin.changedPasswordAfter(decoded.iat)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Password was changed. Please log in again.'
+            });
+        }
+
+        // Last use for the session list, to the minute
+        if (Date.now() - session.lastUsedAt > 60 * 1000) {
+            await AdminSession.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+        }
+
         req.admin = admin;
+        req.adminSession = session;
+        next();
+    } catch (error) {
+        // Access tokens are short-lived; the client should use its refresh token
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token expired',
+                tokenExpired: true
+            });
+        }
+
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired token'
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: 'Server error in auth middleware',
+            error: error.message
+        });
+    }
+};
+
+// Admin permission check; use after adminAuth. Every listed permission is required.
+const requirePermission = (...permissions) => {
+    const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown admin permission: ${unknown.join(', ')}`);
+    }
+
+    return async (req, res, next) => {
+        if (!req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access denied. Admin token required.'
+            });
+        }
+
+        // A temporary password only lets the admin set their own
+        if (req.admin.mustChangePassword) {
+            return res.status(403).json({
+                success: false,
+                message: 'Please change your temporary password first',
+                mustChangePassword: true
+            });
+        }
+
+        // When the owner requires 2FA, an admin without it can only set it up
+        if (!req.admin.twoFactor?.enabled) {
+            try {
+                const settings = await Settings.getSettings();
+                if (settings.requireAdmin2fa) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Two-factor authentication must be set up first',
+                        twoFactorSetupRequired: true
+                    });
+                }
+            } catch (error) {
+                return res.status(500).json({
+                    success: false,
+                    message: 'Server error in auth middleware',
+                    error: error.message
+                });
+            }
+        }
+
+        const missing = permissions.filter(permission => !hasPermission(req.admin, permission));
+
+        if (missing.length > 0) {
+            console.warn(`⛔ ${req.admin.username} denied ${req.method} ${req.originalUrl} (needs ${missing.join(', ')})`);
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to do this',
+                required: missing
+            });
+        }
+
+        next();
+    };
+};
+
+// Customer authentication middleware
+const userAuth = async (req, res, next) => {
+    try {
+        let token;
+
+        if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+            token = req.headers.authorization.split(' ')[1];
+        }
+
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access denied. Please log in.'
+            });
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (decoded.type !== 'user') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid user token'
+            });
+        }
+
+        const user = await User.findById(decoded.id).select('-password');
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid user token'
+            });
+        }
+
+        if (!user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Account is deactivated'
+            });
+        }
+
+        req.user = user;
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
@@ -52,11 +221,85 @@ const adminAuth = async (req, res, next) => {
     }
 };
 
-// Generate JWT Token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '7d'
+// Attach the customer if a valid token is sent; anonymous requests pass through
+const optionalUserAuth = async (req, res, next) => {
+    try {
+        const header = req.headers.authorization;
+
+        if (header && header.startsWith('Bearer')) {
+            const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+
+            if (decoded.type === 'user') {
+                const user = await User.findById(decoded.id).select('-password');
+                if (user && user.isActive) {
+                    req.user = user;
+                }
+            }
+        }
+    } catch (error) {
+        // Invalid tokens are treated as anonymous
+    }
+    next();
+};
+
+// Generate a short-lived admin access token for a session (see utils/adminSessions.js)
+const generateToken = (id, sessionId) => {
+    return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: process.env.ADMIN_ACCESS_TOKEN_EXPIRE || '15m'
+    });
+};
+
+// Generate a token proving the password step of an admin login, for the 2FA step
+const generateTwoFactorToken = (id) => {
+    return jwt.sign({ id, type: 'admin-2fa' }, process.env.JWT_SECRET, {
+        expiresIn: '5m'
     });
 };
 
-export { adminAuth, generateToken };
+// Check a 2FA login token; returns the admin id or null
+const verifyTwoFactorToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.type === 'admin-2fa' ? decoded.id : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Generate customer JWT Token
+const generateUserToken = (id) => {
+    return jwt.sign({ id, type: 'user' }, process.env.JWT_SECRET, {
+        expiresIn: process.env.USER_JWT_EXPIRE || '30d'
+    });
+};
+
+// Generate a token that only lets its holder follow one payment's status stream.
+// EventSource cannot send headers, so it travels in the URL and must be narrow.
+const generatePaymentStreamToken = (tid, userId) => {
+    return jwt.sign({ tid, id: userId, type: 'payment-stream' }, process.env.JWT_SECRET, {
+        expiresIn: process.env.PAYMENT_STREAM_TOKEN_EXPIRE || '1h'
+    });
+};
+
+// Check a payment-stream token is valid for this tid; returns its user id or null
+const verifyPaymentStreamToken = (token, tid) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.type === 'payment-stream' && decoded.tid === tid ? decoded.id : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+export {
+    adminAuth,
+    requirePermission,
+    userAuth,
+    optionalUserAuth,
+    generateToken,
+    generateUserToken,
+    generateTwoFactorToken,
+    verifyTwoFactorToken,
+    generatePaymentStreamToken,
+    verifyPaymentStreamToken
+};
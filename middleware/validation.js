@@ -1,3 +1,5 @@
+import { getUpiProvider, listUpiProviders } from '../utils/upiProviders/index.js';
+
 export const validatePaymentRequest = (req, res, next) => {
     const { amount, payType, upi } = req.body;
 
@@ -19,8 +21,8 @@ export const validatePaymentRequest = (req, res, next) => {
     // Validate payment type
     if (!payType) {
         errors.push('Payment type is required');
-    } else if (!['phonepe', 'paytm', 'PhonePe', 'Paytm'].includes(payType)) {
-        errors.push('Invalid payment type. Must be phonepe or paytm');
+    } else if (!getUpiProvider(payType)) {
+        errors.push(`Invalid payment type. Must be one of: ${listUpiProviders().map(p => p.name).join(', ')}`);
     }
 
     // Validate UPI
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ADMIN_ROLES } from '../config/permissions.js';
 
 const adminSchema = new mongoose.Schema({
     username: {
@@ -31,10 +32,66 @@ const adminSchema = new mongoose.Schema({
         required: [true, 'Name is required'],
         trim: true
     },
+    // No default: admins saved before roles existed are treated as owners (see adminRole)
+    role: {
+        type: String,
+        enum: {
+            values: ADMIN_ROLES,
+            message: 'Invalid role: {VALUE}'
+        }
+    },
     isActive: {
         type: Boolean,
         default: true
     },
+    // Set for a temporary password (new account or reset); cleared when the admin picks their own
+    mustChangePassword: {
+        type: Boolean,
+        default: false
+    },
+    // Tokens issued before this are no longer accepted
+    passwordChangedAt: {
+        type: Date
+    },
+    // Username of the admin who created this account
+    createdBy: {
+        type: String
+    },
+    // TOTP two-factor authentication (utils/adminTwoFactor.js)
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Generated at setup, becomes `secret` once the admin proves their app has it
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // SHA-256 hashes; each code works once
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Last TOTP step accepted, so a code cannot be replayed
+        lastUsedStep: {
+            type: Number
+        },
+        failedAttempts: {
+            type: Number,
+            default: 0
+        },
+        lockedUntil: {
+            type: Date
+        },
+        enabledAt: {
+            type: Date
+        }
+    },
     lastLogin: {
         type: Date
     },
@@ -52,6 +109,11 @@ adminSchema.pre('save', async function (next) {
 
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Back-dated a second so a token issued right after the change (same iat second) stays valid
+    if (!this.isNew) {
+        this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
 });
 
@@ -64,6 +126,11 @@ adminSchema.methods.comparePassword = async function (password) {
     return result;
 };
 
+// Whether a token issued at `iat` (JWT seconds) predates the last password change
+adminSchema.methods.changedPasswordAfter = function (iat) {
+    return Boolean(this.passwordChangedAt) && iat * 1000 < this.passwordChangedAt.getTime();
+};
+
 // Update login stats
 adminSchema.methods.updateLastLogin = function () {
     this.lastLogin = new Date();
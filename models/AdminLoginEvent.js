@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+export const LOGIN_OUTCOMES = [
+    'success',
+    'invalid_credentials',
+    'throttled',
+    'locked',
+    '2fa_required',
+    '2fa_failed'
+];
+
+// One admin login attempt, for the login history
+const adminLoginEventSchema = new mongoose.Schema({
+    // As typed, so attempts on unknown usernames show up too
+    username: {
+        type: String,
+        trim: true,
+        index: true
+    },
+    adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null,
+        index: true
+    },
+    outcome: {
+        type: String,
+        enum: LOGIN_OUTCOMES,
+        required: true
+    },
+    ip: {
+        type: String
+    },
+    device: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Kept for 90 days
+adminLoginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('AdminLoginEvent', adminLoginEventSchema);
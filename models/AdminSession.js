@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// One admin login. Access tokens name their session, so revoking it ends them all at once.
+const adminSessionSchema = new mongoose.Schema({
+    adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true,
+        index: true
+    },
+    // SHA-256 of the current refresh token; the token itself is never stored
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    // The token it replaced, to spot a stolen one being replayed
+    previousTokenHash: {
+        type: String
+    },
+    rotatedAt: {
+        type: Date
+    },
+    device: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Absolute end of the session; refreshing does not extend it
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    // 'logout', 'logout_all', 'token_reuse', 'password_change', 'deactivated', ...
+    revokedReason: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Ended sessions are kept until they would have expired anyway
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AdminSession', adminSessionSchema);
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        required: [true, 'Discount type is required']
+    },
+    discountValue: {
+        type: Number,
+        required: [true, 'Discount value is required'],
+        min: [0, 'Discount value cannot be negative']
+    },
+    minCartValue: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Cap for percentage coupons; null means uncapped
+    maxDiscount: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    validFrom: {
+        type: Date,
+        default: Date.now
+    },
+    validUntil: {
+        type: Date,
+        default: null
+    },
+    // null means unlimited
+    usageLimit: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    perUserLimit: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    // Empty lists mean the coupon applies to every category/brand
+    applicableCategories: [{
+        type: String,
+        trim: true
+    }],
+    applicableBrands: [{
+        type: String,
+        trim: true
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: String,
+        default: 'admin'
+    }
+}, {
+    timestamps: true
+});
+
+couponSchema.pre('validate', function (next) {
+    if (this.discountType === 'percentage' && this.discountValue > 100) {
+        this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+    }
+    if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+        this.invalidate('validUntil', 'validUntil must be after validFrom');
+    }
+    next();
+});
+
+export default mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const couponRedemptionSchema = new mongoose.Schema({
+    couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    discount: {
+        type: Number,
+        required: true
+    },
+    // Which of the coupon's perUserLimit uses this is (0-based)
+    slot: {
+        type: Number,
+        min: 0
+    },
+    // Released when the order is cancelled, giving the use back
+    status: {
+        type: String,
+        enum: ['applied', 'released'],
+        default: 'applied'
+    }
+}, {
+    timestamps: true
+});
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+// One applied redemption per slot; a released one frees its slot
+couponRedemptionSchema.index(
+    { couponId: 1, userId: 1, slot: 1 },
+    { unique: true, partialFilterExpression: { status: 'applied', slot: { $exists: true } } }
+);
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Lease that lets only one server instance run a job at a time
+const jobLockSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // hostname:pid of the instance holding the lease
+    owner: {
+        type: String,
+        required: true
+    },
+    lockedUntil: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+export default mongoose.model('JobLock', jobLockSchema);
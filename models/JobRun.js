@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const jobRunSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        index: true
+    },
+    owner: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['running', 'success', 'failed'],
+        default: 'running'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: {
+        type: Date
+    },
+    durationMs: {
+        type: Number
+    },
+    // Whatever the job reports, e.g. counts of records touched
+    result: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    error: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Keep 30 days of history
+jobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('JobRun', jobRunSchema);
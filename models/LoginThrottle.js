@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Recent failed admin logins for one username or one IP address
+const loginThrottleSchema = new mongoose.Schema({
+    // 'user:<username>' or 'ip:<address>'
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lastFailureAt: {
+        type: Date
+    },
+    lockedUntil: {
+        type: Date
+    },
+    // Counters are forgotten once quiet for a while
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginThrottle', loginThrottleSchema);
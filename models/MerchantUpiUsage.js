@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// What one merchant VPA has taken on in one (IST) day, checked against its caps
+const merchantUpiUsageSchema = new mongoose.Schema({
+    vpa: {
+        type: String,
+        required: true
+    },
+    // 'YYYY-MM-DD' in IST, the day the bank's receive limits reset on
+    day: {
+        type: String,
+        required: true
+    },
+    // Payments started and not failed or expired: what the caps are checked against
+    heldAmount: {
+        type: Number,
+        default: 0
+    },
+    heldCount: {
+        type: Number,
+        default: 0
+    },
+    // Payments that actually came in
+    receivedAmount: {
+        type: Number,
+        default: 0
+    },
+    receivedCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+merchantUpiUsageSchema.index({ vpa: 1, day: 1 }, { unique: true });
+
+export default mongoose.model('MerchantUpiUsage', merchantUpiUsageSchema);
@@ -3,11 +3,19 @@ import mongoose from 'mongoose';
 const orderSchema = new mongoose.Schema({
   // User information
   userId: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
     required: false,
     index: true
   },
 
+  // The client-supplied id of an order placed before customer accounts existed,
+  // moved here by utils/migrateOrderUserIds.js. Only admins see these orders.
+  legacyUserId: {
+    type: String,
+    index: true
+  },
+
   // Order details
   orderNumber: {
     type: String,
@@ -97,6 +105,10 @@ const orderSchema = new mongoose.Schema({
       required: true,
       min: 1
     },
+    // Units in open or approved return requests (see controllers/returnController.js)
+    returnedQuantity: {
+      type: Number
+    },
     totalPrice: {
       type: Number,
       required: true
@@ -169,6 +181,58 @@ const orderSchema = new mongoose.Schema({
     default: 'pending'
   },
 
+  // Every status change, oldest first (see utils/orderStatus.js)
+  statusHistory: [{
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    actor: {
+      type: {
+        type: String,
+        enum: ['admin', 'user', 'system'],
+        required: true
+      },
+      id: {
+        type: String
+      },
+      name: {
+        type: String
+      }
+    },
+    note: {
+      type: String,
+      trim: true
+    }
+  }],
+
+  // Set when the customer or an admin cancels the order
+  cancellation: {
+    reason: {
+      type: String,
+      enum: ['changed_mind', 'ordered_by_mistake', 'found_cheaper', 'delivery_too_slow', 'payment_issue', 'other']
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+    cancelledBy: {
+      type: String,
+      enum: ['user', 'admin', 'system']
+    },
+    at: {
+      type: Date
+    }
+  },
+
   // Payment information
   paymentMethod: {
     type: String,
@@ -178,10 +242,64 @@ const orderSchema = new mongoose.Schema({
 
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
 
+  // Every payment attempt made for this order, oldest first (see utils/paymentAttempts.js)
+  paymentAttempts: [{
+    tid: {
+      type: String,
+      required: true
+    },
+    payType: {
+      type: String
+    },
+    amount: {
+      type: Number
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'success', 'failed', 'expired'],
+      default: 'pending'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    settledAt: {
+      type: Date
+    }
+  }],
+
+  // The attempt in progress; a new one can only start once this has expired or settled
+  activePayment: {
+    tid: {
+      type: String
+    },
+    expires: {
+      type: Date
+    }
+  },
+
+  // The one attempt that paid for the order
+  paidTid: {
+    type: String,
+    default: null
+  },
+
+  // Refunds reserved against the order itself when it has no payment transaction (see utils/refunds.js)
+  refundReservedAmount: {
+    type: Number
+  },
+
+  // Stock held by this order (see utils/stock.js)
+  stockStatus: {
+    type: String,
+    enum: ['none', 'reserved', 'committed', 'released'],
+    default: 'none'
+  },
+
   // Data source
   dataSource: {
     type: String,
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const otpSchema = new mongoose.Schema({
+    phone: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    otpHash: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // Resend throttling
+    lastSentAt: {
+        type: Date,
+        required: true
+    },
+    sendCount: {
+        type: Number,
+        default: 1
+    },
+    sendWindowStart: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Drop the record an hour after the last send, once the send window has lapsed
+otpSchema.index({ lastSentAt: 1 }, { expireAfterSeconds: 3600 });
+
+// Hash an OTP for storage; plain codes are never persisted
+otpSchema.statics.hashCode = function (phone, code) {
+    return crypto
+        .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+        .update(`${phone}:${code}`)
+        .digest('hex');
+};
+
+// Constant-time comparison against the stored hash
+otpSchema.methods.matches = function (code) {
+    const expected = Buffer.from(this.otpHash, 'hex');
+    const actual = Buffer.from(this.constructor.hashCode(this.phone, code), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+export default mongoose.model('Otp', otpSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Reservation of a unique amount or note that identifies one payment on the bank side
+const paymentMatchSchema = new mongoose.Schema({
+    // 'amount:<paise>' or 'note:<note>'
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    tid: {
+        type: String,
+        required: true,
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Expired reservations are free to reuse straight away; the TTL only tidies up
+paymentMatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('PaymentMatch', paymentMatchSchema);
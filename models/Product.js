@@ -138,6 +138,19 @@ productSchema.pre('save', function (next) {
     next();
 });
 
+// Keep inStock in sync when stockQuantity is set through a query update
+// (pipeline updates in utils/stock.js recompute it themselves)
+productSchema.pre('findOneAndUpdate', function (next) {
+    const update = this.getUpdate();
+    if (update && !Array.isArray(update)) {
+        const quantity = update.stockQuantity ?? update.$set?.stockQuantity;
+        if (quantity !== undefined) {
+            this.set('inStock', quantity > 0);
+        }
+    }
+    next();
+});
+
 // Static method to get top-rated products
 productSchema.statics.getTopRated = function (limit = 10) {
     return this.find({
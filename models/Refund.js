@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+const refundSchema = new mongoose.Schema({
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null,
+        index: true
+    },
+    // The successful payment being refunded; null for unpaid/COD orders
+    transactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+        default: null
+    },
+    tid: {
+        type: String,
+        index: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Refund amount must be positive']
+    },
+    type: {
+        type: String,
+        enum: ['full', 'partial'],
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['cancellation', 'return', 'manual', 'duplicate_payment'],
+        required: true
+    },
+    returnRequestId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest',
+        default: null
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending',
+        index: true
+    },
+    // Admin username, or 'system' for refunds opened by cancellations
+    initiatedBy: {
+        type: String,
+        default: 'system'
+    },
+    // Reference of the UPI transfer that paid the refund out
+    upiRef: {
+        type: String,
+        trim: true
+    },
+    processedBy: {
+        type: String
+    },
+    processedAt: {
+        type: Date
+    },
+    failureReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+export default mongoose.model('Refund', refundSchema);
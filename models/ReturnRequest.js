@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+const returnRequestSchema = new mongoose.Schema({
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    orderNumber: {
+        type: String,
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    items: [{
+        productId: {
+            type: String,
+            required: true
+        },
+        name: {
+            type: String,
+            required: true
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        unitPrice: {
+            type: Number,
+            required: true
+        },
+        // Line refund after the item's share of any coupon discount
+        refundAmount: {
+            type: Number,
+            required: true
+        }
+    }],
+    reason: {
+        type: String,
+        enum: ['damaged', 'defective', 'wrong_item', 'missing_parts', 'expired', 'not_as_described', 'other'],
+        required: [true, 'Return reason is required']
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    refundAmount: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['requested', 'approved', 'rejected'],
+        default: 'requested',
+        index: true
+    },
+    reviewedBy: {
+        type: String
+    },
+    reviewedAt: {
+        type: Date
+    },
+    reviewNote: {
+        type: String,
+        trim: true
+    },
+    refundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Refund',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+export default mongoose.model('ReturnRequest', returnRequestSchema);
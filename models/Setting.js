@@ -1,17 +1,111 @@
 import mongoose from 'mongoose';
 
+// One merchant VPA payments can be sent to (see utils/merchantUpi.js)
+const merchantUpiSchema = new mongoose.Schema({
+    vpa: {
+        type: String,
+        required: true,
+        trim: true,
+        match: [/^[\w.-]+@[\w.-]+$/, 'Invalid UPI ID format: {VALUE}']
+    },
+    label: {
+        type: String,
+        trim: true
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Relative share of payments this VPA should take
+    weight: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    // Daily caps, 0 for none; keep them under the bank's receive limits
+    dailyAmountLimit: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    dailyCountLimit: {
+        type: Number,
+        min: 0,
+        default: 0
+    }
+}, { _id: false });
+
 const settingsSchema = new mongoose.Schema({
     // Payment Settings
+    // Used when merchantUPIPool is empty
     merchantUPI: {
         type: String,
         required: true,
         trim: true,
         default: 'mstandwafuelcentre@sbi'
     },
+    merchantUPIPool: {
+        type: [merchantUpiSchema],
+        default: [],
+        validate: {
+            validator: (pool) => new Set(pool.map(entry => entry.vpa.toLowerCase())).size === pool.length,
+            message: 'Each UPI ID can only be in the pool once'
+        }
+    },
+    // 'round_robin' spreads the number of payments by weight,
+    // 'least_used' sends each payment to the VPA with the least taken in today
+    upiRotation: {
+        type: String,
+        enum: ['round_robin', 'least_used'],
+        default: 'round_robin'
+    },
     merchantSecret: {
         type: String,
         default: 'mysupersecretkey'
     },
+    // How concurrent payments to the same VPA are told apart on the bank side:
+    // 'amount' adds a unique paise offset, 'note' reserves a unique note
+    paymentMatchMode: {
+        type: String,
+        enum: ['off', 'amount', 'note'],
+        default: 'off'
+    },
+    maxAmountOffsetPaise: {
+        type: Number,
+        min: 1,
+        max: 99,
+        default: 99
+    },
+    // How long an amount/note stays reserved; must outlast payment expiry and bank delays
+    matchWindowMinutes: {
+        type: Number,
+        min: 10,
+        default: 60
+    },
+
+    // Pricing Settings
+    deliveryFee: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    freeDeliveryThreshold: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Reject orders whose client-side totals disagree with server pricing
+    rejectPriceMismatch: {
+        type: Boolean,
+        default: true
+    },
+
+    // Security Settings
+    // Every admin must set up two-factor authentication before doing anything else
+    requireAdmin2fa: {
+        type: Boolean,
+        default: false
+    },
 
     // Other Settings
     siteName: {
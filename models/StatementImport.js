@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+const statementLineSchema = new mongoose.Schema({
+    lineNo: {
+        type: Number,
+        required: true
+    },
+    date: {
+        type: Date
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    description: {
+        type: String
+    },
+    // UTR / bank reference of the credit
+    reference: {
+        type: String
+    },
+    result: {
+        type: String,
+        enum: ['matched', 'ambiguous', 'unmatched', 'duplicate'],
+        required: true
+    },
+    // Transaction the credit was applied to
+    tid: {
+        type: String
+    },
+    // Pending transactions the credit could belong to, when ambiguous
+    candidates: [{
+        type: String
+    }],
+    resolvedBy: {
+        type: String
+    },
+    resolvedAt: {
+        type: Date
+    }
+}, { _id: false });
+
+const statementImportSchema = new mongoose.Schema({
+    fileName: {
+        type: String,
+        trim: true
+    },
+    uploadedBy: {
+        type: String,
+        required: true
+    },
+    dryRun: {
+        type: Boolean,
+        default: false
+    },
+    // Merchant VPA whose account the statement is for; only its payments are matched
+    vpa: {
+        type: String,
+        trim: true
+    },
+    summary: {
+        credits: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 },
+        matched: { type: Number, default: 0 },
+        ambiguous: { type: Number, default: 0 },
+        unmatched: { type: Number, default: 0 },
+        duplicate: { type: Number, default: 0 }
+    },
+    lines: [statementLineSchema]
+}, {
+    timestamps: true
+});
+
+export default mongoose.model('StatementImport', statementImportSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { hasUpiProvider } from '../utils/upiProviders/index.js';
 
 const transactionSchema = new mongoose.Schema({
   tid: {
@@ -22,19 +23,42 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Order amount before any unique-amount offset
+  baseAmount: {
+    type: Number
+  },
+  // Paise added so the payment can be told apart on the bank side
+  amountOffset: {
+    type: Number,
+    default: 0
+  },
+  // PaymentMatch key reserved for this payment, if any
+  matchKey: {
+    type: String
+  },
+  // Name of a registered UPI provider (utils/upiProviders)
   payType: {
     type: String,
-    enum: ['phonepe', 'paytm'],
-    required: true
+    required: true,
+    validate: {
+      validator: hasUpiProvider,
+      message: 'Unsupported payment type: {VALUE}'
+    }
   },
+  // Merchant VPA the payment was sent to
   upi: {
     type: String,
     required: true,
     trim: true
   },
+  // Where this payment stands in its VPA's daily usage (utils/merchantUpi.js)
+  upiUsage: {
+    type: String,
+    enum: ['held', 'released', 'received']
+  },
   status: {
     type: String,
-    enum: ['pending', 'success', 'failed', 'expired'],
+    enum: ['pending', 'success', 'failed', 'expired', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
   payload: {
@@ -52,6 +76,15 @@ const transactionSchema = new mongoose.Schema({
   upiRef: {
     type: String
   },
+  // Total of processed refunds against this payment
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Total of refunds opened and not failed, reserved before each is created (see utils/refunds.js)
+  refundReservedAmount: {
+    type: Number
+  },
   expires: {
     type: Date,
     required: true,
@@ -60,6 +93,16 @@ const transactionSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  // Set when an admin decided the outcome by hand
+  manualReview: {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    username: String,
+    reason: String,
+    at: Date
+  },
   errorMessage: {
     type: String
   }
@@ -67,4 +110,7 @@ const transactionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Reports bucket payments by when they were started
+transactionSchema.index({ createdAt: 1 });
+
 export default mongoose.model('Transaction', transactionSchema);
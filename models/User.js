@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+const userSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    email: {
+        type: String,
+        unique: true,
+        sparse: true,
+        trim: true,
+        lowercase: true,
+        match: [
+            /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+            'Please provide a valid email'
+        ]
+    },
+    phone: {
+        type: String,
+        unique: true,
+        sparse: true,
+        trim: true,
+        match: [/^[6-9]\d{9}$/, 'Please provide a valid 10-digit mobile number']
+    },
+    phoneVerified: {
+        type: Boolean,
+        default: false
+    },
+    // Optional: customers who sign in by OTP never set one
+    password: {
+        type: String,
+        minlength: [6, 'Password must be at least 6 characters'],
+        select: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastLogin: {
+        type: Date
+    },
+    loginCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// A customer must be reachable by at least one identifier
+userSchema.pre('validate', function (next) {
+    if (!this.email && !this.phone) {
+        this.invalidate('email', 'Email or phone is required');
+    }
+    next();
+});
+
+// Hash password before saving
+userSchema.pre('save', async function (next) {
+    if (!this.password || !this.isModified('password')) return next();
+
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+});
+
+// Compare password method
+userSchema.methods.comparePassword = async function (password) {
+    if (!this.password) {
+        return false;
+    }
+    return bcrypt.compare(password, this.password);
+};
+
+// Update login stats
+userSchema.methods.updateLastLogin = function () {
+    this.lastLogin = new Date();
+    this.loginCount += 1;
+    return this.save();
+};
+
+export default mongoose.model('User', userSchema);
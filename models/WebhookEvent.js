@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Audit log of every webhook delivery, accepted or not
+const webhookEventSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        index: true
+    },
+    tid: {
+        type: String,
+        index: true
+    },
+    outcome: {
+        type: String,
+        enum: ['processed', 'ignored', 'duplicate', 'rejected', 'error'],
+        required: true,
+        index: true
+    },
+    // Why a delivery was rejected or ignored
+    reason: {
+        type: String
+    },
+    httpStatus: {
+        type: Number
+    },
+    signatureValid: {
+        type: Boolean,
+        default: false
+    },
+    // Sender's X-Webhook-Timestamp
+    sentAt: {
+        type: Date
+    },
+    ip: {
+        type: String
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, {
+    timestamps: true
+});
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
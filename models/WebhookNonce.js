@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Event ids already accepted, kept for as long as their timestamp would pass the freshness check
+const webhookNonceSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+webhookNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('WebhookNonce', webhookNonceSchema);
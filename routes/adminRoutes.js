@@ -1,9 +1,15 @@
 import express from 'express';
+import multer from 'multer';
 import { upload } from '../config/cloudinary.js';
-import { adminAuth } from '../middleware/auth.js';
+import { adminAuth, requirePermission } from '../middleware/auth.js';
 import {
     adminLogin,
+    adminLoginTwoFactor,
+    refreshAdminToken,
     adminLogout,
+    adminLogoutAll,
+    getAdminSessions,
+    revokeSession,
     getAdminProfile,
     createProduct,
     getAdminProducts,
@@ -13,27 +19,146 @@ import {
     getAdminStats,
     updateProductRating
 } from '../controllers/adminController.js';
+import {
+    getAdmins,
+    createAdmin,
+    updateAdminRole,
+    deactivateAdmin,
+    reactivateAdmin,
+    deleteAdmin,
+    resetAdminPassword,
+    resetAdminTwoFactor,
+    changeOwnPassword,
+    getLoginHistory,
+    getMyLoginHistory
+} from '../controllers/adminUserController.js';
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    regenerateTwoFactorRecoveryCodes,
+    disableOwnTwoFactor
+} from '../controllers/twoFactorController.js';
+import {
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+} from '../controllers/couponController.js';
+import {
+    getReturns,
+    approveReturn,
+    rejectReturn
+} from '../controllers/returnController.js';
+import {
+    getRefunds,
+    getTransactionRefunds,
+    createRefund,
+    processRefund,
+    failRefund
+} from '../controllers/refundController.js';
+import {
+    importStatement,
+    getStatementImports,
+    getStatementImport,
+    resolveStatementLine,
+    getPaymentMismatches,
+    fixPaymentMismatches
+} from '../controllers/reconciliationController.js';
+import { getJobRuns, triggerJob } from '../controllers/jobController.js';
+import { getAdminSettings, getMerchantUpiUsage } from '../controllers/settingController.js';
+import { getTransactionReport, getRevenueReport } from '../controllers/reportController.js';
 
 const router = express.Router();
 
+// Statements are parsed in memory, never written to disk
+const statementUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
 // Public routes
 router.post('/login', adminLogin);
+router.post('/login/2fa', adminLoginTwoFactor);
+router.post('/refresh', refreshAdminToken);
 
 // Protected admin routes
 router.use(adminAuth);
 
 router.post('/logout', adminLogout);
+router.post('/logout-all', adminLogoutAll);
+router.get('/sessions', getAdminSessions);
+router.delete('/sessions/:id', revokeSession);
 router.get('/profile', getAdminProfile);
-router.get('/stats', getAdminStats);
+router.put('/password', changeOwnPassword);
+router.get('/login-history/me', getMyLoginHistory);
+
+// Own two-factor authentication (open to admins who still have to set it up)
+router.get('/2fa', getTwoFactorStatus);
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/enable', enableTwoFactor);
+router.post('/2fa/recovery-codes', regenerateTwoFactorRecoveryCodes);
+router.post('/2fa/disable', disableOwnTwoFactor);
+router.get('/stats', requirePermission('dashboard:view'), getAdminStats);
+
+// Admin account routes
+router.get('/admins', requirePermission('admins:manage'), getAdmins);
+router.get('/login-history', requirePermission('admins:manage'), getLoginHistory);
+router.post('/admins', requirePermission('admins:manage'), createAdmin);
+router.put('/admins/:id/role', requirePermission('admins:manage'), updateAdminRole);
+router.put('/admins/:id/deactivate', requirePermission('admins:manage'), deactivateAdmin);
+router.put('/admins/:id/reactivate', requirePermission('admins:manage'), reactivateAdmin);
+router.put('/admins/:id/reset-password', requirePermission('admins:manage'), resetAdminPassword);
+router.put('/admins/:id/reset-2fa', requirePermission('admins:manage'), resetAdminTwoFactor);
+router.delete('/admins/:id', requirePermission('admins:manage'), deleteAdmin);
 
 
 // Product management routes
-router.get('/products', getAdminProducts);
-router.post('/products', upload.array('images', 5), createProduct);
-router.get('/products/:id', getAdminProduct);
-router.put('/products/:id', upload.array('images', 5), updateProduct);
-router.patch('/products/:id/rating', updateProductRating);
-router.delete('/products/:id', deleteProduct);
+router.get('/products', requirePermission('products:view'), getAdminProducts);
+router.post('/products', requirePermission('products:edit'), upload.array('images', 5), createProduct);
+router.get('/products/:id', requirePermission('products:view'), getAdminProduct);
+router.put('/products/:id', requirePermission('products:edit'), upload.array('images', 5), updateProduct);
+router.patch('/products/:id/rating', requirePermission('products:edit'), updateProductRating);
+router.delete('/products/:id', requirePermission('products:edit'), deleteProduct);
+
+// Coupon management routes
+router.get('/coupons', requirePermission('coupons:view'), getCoupons);
+router.post('/coupons', requirePermission('coupons:edit'), createCoupon);
+router.get('/coupons/:id', requirePermission('coupons:view'), getCoupon);
+router.put('/coupons/:id', requirePermission('coupons:edit'), updateCoupon);
+router.delete('/coupons/:id', requirePermission('coupons:edit'), deleteCoupon);
+
+// Return request review routes
+router.get('/returns', requirePermission('returns:view'), getReturns);
+router.put('/returns/:id/approve', requirePermission('returns:review'), approveReturn);
+router.put('/returns/:id/reject', requirePermission('returns:review'), rejectReturn);
+
+// Refund ledger routes
+router.get('/refunds', requirePermission('refunds:view'), getRefunds);
+router.post('/refunds', requirePermission('refunds:manage'), createRefund);
+router.get('/refunds/transaction/:tid', requirePermission('refunds:view'), getTransactionRefunds);
+router.put('/refunds/:id/process', requirePermission('refunds:manage'), processRefund);
+router.put('/refunds/:id/fail', requirePermission('refunds:manage'), failRefund);
+
+// Bank statement reconciliation routes
+router.get('/reconciliation/statements', requirePermission('reconciliation:view'), getStatementImports);
+router.post('/reconciliation/statements', requirePermission('reconciliation:manage'), statementUpload.single('statement'), importStatement);
+router.get('/reconciliation/statements/:id', requirePermission('reconciliation:view'), getStatementImport);
+router.put('/reconciliation/statements/:id/lines/:lineNo', requirePermission('reconciliation:manage'), resolveStatementLine);
+router.get('/reconciliation/payment-mismatches', requirePermission('reconciliation:view'), getPaymentMismatches);
+router.post('/reconciliation/payment-mismatches/fix', requirePermission('reconciliation:manage'), fixPaymentMismatches);
+
+// Full settings, with the merchant UPI pool (public GET /api/settings has storefront fields only)
+router.get('/settings', requirePermission('settings:payment'), getAdminSettings);
+
+// Merchant UPI pool usage
+router.get('/merchant-upi/usage', requirePermission('reports:view'), getMerchantUpiUsage);
+
+// Settlement and revenue reports (?format=csv to download)
+router.get('/reports/transactions', requirePermission('reports:view'), getTransactionReport);
+router.get('/reports/revenue', requirePermission('reports:view'), getRevenueReport);
+
+// Background job routes
+router.get('/jobs/runs', requirePermission('jobs:view'), getJobRuns);
+router.post('/jobs/:name/run', requirePermission('jobs:run'), triggerJob);
 
 
 export default router;
@@ -9,9 +9,12 @@ import {
   deleteBannerImage
 } from '../controllers/bannerController.js';
 import { uploadBanners } from '../config/cloudinary.js';
+import { adminAuth, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
+const canEditBanners = [adminAuth, requirePermission('banners:edit')];
+
 // Get all banners (public route for frontend)
 router.get('/', getAllBanners);
 
@@ -19,18 +22,18 @@ router.get('/', getAllBanners);
 router.get('/:id', getBannerById);
 
 // Create new banner (admin only) - multiple images
-router.post('/', uploadBanners.array('images', 10), createBanner);
+router.post('/', canEditBanners, uploadBanners.array('images', 10), createBanner);
 
 // Update banner (admin only) - multiple images
-router.put('/:id', uploadBanners.array('images', 10), updateBanner);
+router.put('/:id', canEditBanners, uploadBanners.array('images', 10), updateBanner);
 
 // Delete banner (admin only)
-router.delete('/:id', deleteBanner);
+router.delete('/:id', canEditBanners, deleteBanner);
 
 // Delete specific image from banner
-router.delete('/:id/images/:imageId', deleteBannerImage);
+router.delete('/:id/images/:imageId', canEditBanners, deleteBannerImage);
 
 // Toggle banner status (admin only)
-router.patch('/:id/toggle', toggleBannerStatus);
+router.patch('/:id/toggle', canEditBanners, toggleBannerStatus);
 
 export default router;
@@ -1,34 +1,55 @@
 import express from 'express';
+import { adminAuth, userAuth, optionalUserAuth, requirePermission } from '../middleware/auth.js';
 import {
     createOrder,
+    getOrderQuote,
     getAllOrders,
+    getMyOrders,
     getOrderById,
     updateOrderStatus,
     getOrderByNumber,
+    cancelMyOrder,
     deleteOrder
 } from '../controllers/orderController.js';
+import { applyCoupon } from '../controllers/couponController.js';
+import { requestReturn, getMyReturns } from '../controllers/returnController.js';
 
 const router = express.Router();
 
 // Create new order
-router.post('/createOrder', createOrder);
+router.post('/createOrder', userAuth, createOrder);
 
-// Get all orders (with optional userId, status, pagination)
-router.get('/orders/:userId', getAllOrders);
+// Price a cart server-side (checkout preview)
+router.post('/quote', getOrderQuote);
 
-// Get all orders without userId
-router.get('/orders', getAllOrders);
+// Preview a coupon against a cart
+router.post('/apply-coupon', optionalUserAuth, applyCoupon);
 
-// Get single order by ID
-router.get('/order/:id', getOrderById);
+// Get logged-in customer's orders (with optional status, pagination)
+router.get('/my-orders', userAuth, getMyOrders);
 
-// Get order by order number
-router.get('/order/number/:orderNumber', getOrderByNumber);
+// Get logged-in customer's return requests
+router.get('/my-returns', userAuth, getMyReturns);
+
+// Get all orders (admin, with optional userId, status, pagination)
+router.get('/orders', adminAuth, requirePermission('orders:view'), getAllOrders);
+
+// Get one of the logged-in customer's orders by ID or order number
+router.get('/order/:id', userAuth, getOrderById);
+router.get('/order/number/:orderNumber', userAuth, getOrderByNumber);
+
+// Get any order by ID or order number (admin)
+router.get('/orders/:id', adminAuth, requirePermission('orders:view'), getOrderById);
+router.get('/orders/number/:orderNumber', adminAuth, requirePermission('orders:view'), getOrderByNumber);
 
 // Update order status
-router.put('/order/:id/status', updateOrderStatus);
+router.put('/order/:id/status', adminAuth, requirePermission('orders:update'), updateOrderStatus);
+
+// Customer cancellation (before shipment) and returns (after delivery)
+router.post('/order/:id/cancel', userAuth, cancelMyOrder);
+router.post('/order/:id/return', userAuth, requestReturn);
 
-// Delete order
-router.delete('/order/:id', deleteOrder);
+// Delete order (admin)
+router.delete('/order/:id', adminAuth, requirePermission('orders:delete'), deleteOrder);
 
 export default router;
@@ -1,24 +1,30 @@
 import express from 'express';
+import { adminAuth, userAuth, requirePermission } from '../middleware/auth.js';
 import {
     checkPaymentStatus,
     createPayment,
     getMerchantUPI,
+    getPaymentQR,
+    getPaymentProviders,
+    getPaymentStreamToken,
     paymentWebhook,
-    simulatePayment,
+    streamPaymentStatus,
     verifyPayment
 } from '../controllers/paymentController.js';
 
 const router = express.Router();
 
-router.post('/create', createPayment);
-router.get('/status/:tid', checkPaymentStatus);
-router.post('/verify', verifyPayment);
+router.post('/create', userAuth, createPayment);
+router.get('/status/:tid', userAuth, checkPaymentStatus);
+router.get('/stream-token/:tid', userAuth, getPaymentStreamToken);
+// EventSource cannot send an Authorization header; the stream checks its own token
+router.get('/stream/:tid', streamPaymentStatus);
+router.get('/qr/:tid', userAuth, getPaymentQR);
+router.post('/verify', adminAuth, requirePermission('payments:verify'), verifyPayment);
 router.get('/merchant-upi', getMerchantUPI);
+router.get('/providers', getPaymentProviders);
 
 // Webhook for real-time updates
 router.post('/webhook', paymentWebhook);
 
-// Testing endpoint (Remove in production)
-router.post('/simulate', simulatePayment);
-
 export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { simulatePayment } from '../controllers/paymentController.js';
+
+// Mounted by server.js only when PAYMENT_TEST_MODE=true
+const router = express.Router();
+
+router.post('/simulate', simulatePayment);
+
+export default router;
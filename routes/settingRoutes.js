@@ -4,14 +4,15 @@ import {
     updateSettings,
     getMerchantUPI
 } from '../controllers/settingController.js';
+import { adminAuth, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Get all settings
 router.get('/', getSettings);
 
-// Update settings
-router.put('/', updateSettings);
+// Update settings (payment fields also need settings:payment, checked in the controller)
+router.put('/', adminAuth, requirePermission('settings:edit'), updateSettings);
 
 // Get merchant UPI (public)
 router.get('/merchant-upi', getMerchantUPI);
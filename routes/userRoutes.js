@@ -0,0 +1,24 @@
+import express from 'express';
+import { userAuth } from '../middleware/auth.js';
+import {
+    signup,
+    login,
+    requestOtp,
+    verifyOtp,
+    getProfile,
+    updateProfile
+} from '../controllers/userController.js';
+
+const router = express.Router();
+
+// Public routes
+router.post('/signup', signup);
+router.post('/login', login);
+router.post('/otp/request', requestOtp);
+router.post('/otp/verify', verifyOtp);
+
+// Protected customer routes
+router.get('/profile', userAuth, getProfile);
+router.put('/profile', userAuth, updateProfile);
+
+export default router;
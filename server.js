@@ -17,11 +17,18 @@ import orderRoutes from './routes/orderRoutes.js';
 import bannerRoutes from './routes/bannerRoutes.js';
 import apkRoutes from './routes/apkRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
+import paymentTestRoutes from './routes/paymentTestRoutes.js';
 import settingsRoutes from './routes/settingRoutes.js';
+import userRoutes from './routes/userRoutes.js';
 
 // Import database config
 import connectDB from './config/database.js';
 
+// Import background jobs
+import { registerJob, startJobs, stopJobs } from './utils/jobs.js';
+import { expireStaleTransactions } from './utils/paymentSweeper.js';
+import { assertSmsConfigured } from './utils/sms/index.js';
+
 // ES6 __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -35,6 +42,12 @@ const app = express();
    ====================================================== */
 app.set('trust proxy', 1); // REQUIRED for express-rate-limit + real IPs
 
+/* ======================================================
+   CONFIG CHECKS
+   ====================================================== */
+// Without an SMS driver, production would print login OTPs to the log
+assertSmsConfigured();
+
 /* ======================================================
    DATABASE
    ====================================================== */
@@ -92,7 +105,15 @@ app.use(cors(corsOptions));
 /* ======================================================
    BODY PARSER
    ====================================================== */
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Webhook signatures are computed over the exact bytes received
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payment/webhook')) {
+            req.rawBody = buf.toString('utf8');
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 /* ======================================================
@@ -176,7 +197,15 @@ app.use('/api/order', orderRoutes);
 app.use('/api/banners', bannerRoutes);
 app.use('/api/apk', apkRoutes);
 app.use('/api/payment', paymentRoutes);
+
+// Payment simulation lets anyone mark payments paid; never enable it in production
+if (process.env.PAYMENT_TEST_MODE === 'true') {
+    console.warn('⚠️ PAYMENT_TEST_MODE is on: /api/payment/simulate is enabled');
+    app.use('/api/payment', paymentTestRoutes);
+}
+
 app.use('/api/settings', settingsRoutes);
+app.use('/api/user', userRoutes);
 
 /* ======================================================
    404 HANDLER
@@ -211,6 +240,16 @@ app.use((err, req, res, next) => {
    ====================================================== */
 const PORT = process.env.PORT || 5000;
 
+/* ======================================================
+   BACKGROUND JOBS
+   ====================================================== */
+if (process.env.JOBS_ENABLED !== 'false') {
+    registerJob('expire-transactions', expireStaleTransactions, {
+        intervalMs: (parseInt(process.env.PAYMENT_SWEEP_INTERVAL_SECONDS) || 60) * 1000
+    });
+    startJobs();
+}
+
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server running on port ${PORT}`);
     console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
@@ -231,6 +270,7 @@ server.headersTimeout = 66000;
    ====================================================== */
 const shutdown = (signal) => {
     console.log(`\n${signal} received. Shutting down gracefully...`);
+    stopJobs();
     server.close(() => process.exit(0));
     setTimeout(() => process.exit(1), 10000);
 };
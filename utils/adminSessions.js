@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import AdminSession from '../models/AdminSession.js';
+import Admin from '../models/Admin.js';
+import { generateToken } from '../middleware/auth.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two tabs refreshing together both present the same token; only later replays count as theft
+const REUSE_GRACE_MS = 10 * 1000;
+
+const refreshTtlMs = () => (parseInt(process.env.ADMIN_REFRESH_TOKEN_DAYS) || 30) * DAY_MS;
+
+const sessionError = (message, status = 401) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sameHash = (a, b) => Boolean(a && b) && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// '<sessionId>.<secret>': the id finds the session, the secret proves possession
+const newRefreshToken = (sessionId) => {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { token: `${sessionId}.${secret}`, tokenHash: hashToken(secret) };
+};
+
+// Short label for the session list, e.g. 'Chrome on Android'
+export const describeDevice = (userAgent = '') => {
+    const browser = [
+        [/Edg\//, 'Edge'],
+        [/OPR\/|Opera/, 'Opera'],
+        [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'],
+        [/Safari\//, 'Safari']
+    ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+    const os = [
+        [/Android/, 'Android'],
+        [/iPhone|iPad|iPod/, 'iOS'],
+        [/Windows/, 'Windows'],
+        [/Mac OS X|Macintosh/, 'macOS'],
+        [/Linux/, 'Linux']
+    ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+    if (!browser && !os) return userAgent ? 'Unknown device' : 'Unknown';
+    return [browser || 'Browser', os].filter(Boolean).join(' on ');
+};
+
+const issueTokens = (adminId, sessionId, refreshToken) => {
+    const accessToken = generateToken(adminId, sessionId);
+
+    return {
+        accessToken,
+        refreshToken,
+        // Seconds until the access token expires, so clients know when to refresh
+        expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+    };
+};
+
+/**
+ * Start a session for an admin who has just proved who they are.
+ *
+ * @param {Object} admin
+ * @param {Object} req - for the device and IP shown in the session list
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: number, session: Object}>}
+ */
+export const startAdminSession = async (admin, req) => {
+    const sessionId = new AdminSession()._id;
+    const { token, tokenHash } = newRefreshToken(sessionId);
+    const userAgent = req.headers['user-agent'] || '';
+
+    const session = await AdminSession.create({
+        _id: sessionId,
+        adminId: admin._id,
+        tokenHash,
+        device: describeDevice(userAgent),
+        userAgent: userAgent.slice(0, 500),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + refreshTtlMs())
+    });
+
+    return { ...issueTokens(admin._id, sessionId, token), session };
+};
+
+/**
+ * Swap a refresh token for a new access token and a new refresh token.
+ * Each refresh token works once; presenting an already-rotated one again
+ * means it was copied, so the whole session is ended.
+ *
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: number, session: Object}>}
+ */
+export const refreshAdminSession = async (refreshToken, req) => {
+    const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+
+    if (!secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) {
+        throw sessionError('Invalid refresh token');
+    }
+
+    const session = await AdminSession.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        throw sessionError('Session has ended. Please log in again.');
+    }
+
+    const presented = hashToken(secret);
+
+    if (!sameHash(presented, session.tokenHash)) {
+        if (sameHash(presented, session.previousTokenHash)) {
+            if (Date.now() - session.rotatedAt < REUSE_GRACE_MS) {
+                throw sessionError('Session was just refreshed; use the newest token', 409);
+            }
+
+            await revokeAdminSession(session._id, session.adminId, 'token_reuse');
+            console.warn(`⚠️ Refresh token reused for admin session ${session._id}; session revoked`);
+        }
+        throw sessionError('Invalid refresh token');
+    }
+
+    const admin = await Admin.findById(session.adminId);
+    if (!admin || !admin.isActive) {
+        await revokeAdminSession(session._id, session.adminId, 'deactivated');
+        throw sessionError('Admin account is deactivated');
+    }
+
+    const { token, tokenHash } = newRefreshToken(session._id);
+    const userAgent = req.headers['user-agent'] || '';
+
+    // Conditional on the token we checked, so two refreshes cannot both rotate it
+    const rotated = await AdminSession.findOneAndUpdate(
+        { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+        {
+            tokenHash,
+            previousTokenHash: session.tokenHash,
+            rotatedAt: new Date(),
+            lastUsedAt: new Date(),
+            ip: req.ip,
+            device: describeDevice(userAgent),
+            userAgent: userAgent.slice(0, 500)
+        },
+        { new: true }
+    );
+
+    if (!rotated) {
+        throw sessionError('Session was just refreshed; use the newest token', 409);
+    }
+
+    return { ...issueTokens(admin._id, session._id, token), session: rotated };
+};
+
+/**
+ * End one of an admin's sessions; its access tokens stop working at once.
+ *
+ * @returns {Promise<boolean>} false if it was not an active session of theirs
+ */
+export const revokeAdminSession = async (sessionId, adminId, reason) => {
+    const result = await AdminSession.updateOne(
+        { _id: sessionId, adminId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * End all of an admin's sessions, optionally keeping the one making the request.
+ *
+ * @returns {Promise<number>} sessions ended
+ */
+export const revokeAdminSessions = async (adminId, reason, { except } = {}) => {
+    const result = await AdminSession.updateMany(
+        { adminId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * An admin's sessions that are still usable, most recently used first.
+ */
+export const listAdminSessions = (adminId) => AdminSession.find({
+    adminId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+})
+    .sort({ lastUsedAt: -1 })
+    .select('device ip lastUsedAt createdAt expiresAt');
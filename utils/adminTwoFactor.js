@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import Admin from '../models/Admin.js';
+import Settings from '../models/Setting.js';
+import { generateTotpSecret, verifyTotp, otpauthUri } from './totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MS = 15 * 60 * 1000;
+
+const twoFactorError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(code.toLowerCase().replace(/[^0-9a-f]/g, ''))
+    .digest('hex');
+
+// 'a1b2-c3d4' style codes, shown to the admin once
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+});
+
+const withSecrets = (adminId) => Admin.findById(adminId)
+    .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes');
+
+// Accept a TOTP code only for a step later than the last one used
+const acceptTotp = async (admin, secret, code) => {
+    const step = verifyTotp(secret, code);
+    if (step === null) return false;
+
+    const claimed = await Admin.updateOne(
+        {
+            _id: admin._id,
+            $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { 'twoFactor.lastUsedStep': step }
+    );
+    return claimed.modifiedCount > 0;
+};
+
+// Whether the owner has made two-factor authentication mandatory
+export const isTwoFactorRequired = async () => {
+    const settings = await Settings.getSettings();
+    return settings.requireAdmin2fa;
+};
+
+/**
+ * Start enrollment: a new secret, kept pending until confirmed with a code.
+ *
+ * @returns {Promise<{secret: string, otpauthUri: string, qr: string}>} qr is a PNG data URL
+ */
+export const beginTwoFactorSetup = async (admin) => {
+    if (admin.twoFactor?.enabled) {
+        throw twoFactorError('Two-factor authentication is already enabled');
+    }
+
+    const settings = await Settings.getSettings();
+    const secret = generateTotpSecret();
+    const uri = otpauthUri({ secret, account: admin.username, issuer: settings.siteName });
+
+    await Admin.updateOne({ _id: admin._id }, { 'twoFactor.pendingSecret': secret });
+
+    return { secret, otpauthUri: uri, qr: await QRCode.toDataURL(uri) };
+};
+
+/**
+ * Finish enrollment with a code from the app.
+ *
+ * @returns {Promise<string[]>} recovery codes, to be shown once
+ */
+export const confirmTwoFactorSetup = async (adminId, code) => {
+    const admin = await withSecrets(adminId);
+
+    if (admin.twoFactor?.enabled) {
+        throw twoFactorError('Two-factor authentication is already enabled');
+    }
+    if (!admin.twoFactor?.pendingSecret) {
+        throw twoFactorError('Start two-factor setup first');
+    }
+    if (!await acceptTotp(admin, admin.twoFactor.pendingSecret, code)) {
+        throw twoFactorError('Invalid code. Check the time on your device and try again.');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await Admin.updateOne({ _id: admin._id }, {
+        $set: {
+            'twoFactor.enabled': true,
+            'twoFactor.secret': admin.twoFactor.pendingSecret,
+            'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+            'twoFactor.enabledAt': new Date(),
+            'twoFactor.failedAttempts': 0
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+    });
+
+    return recoveryCodes;
+};
+
+/**
+ * Check the second factor: a current TOTP code, or one of the recovery
+ * codes (which is used up). Repeated failures lock 2FA checks for a while.
+ *
+ * @param {string} adminId
+ * @param {{code?: string, recoveryCode?: string}} factor
+ * @returns {Promise<{method: 'totp'|'recovery_code', recoveryCodesLeft?: number}>}
+ */
+export const verifySecondFactor = async (adminId, { code, recoveryCode }) => {
+    // Codes are checked as text (see verifyTotp); a recovery code is hashed as one
+    if (recoveryCode !== undefined && typeof recoveryCode !== 'string') {
+        throw twoFactorError('Recovery code must be a string');
+    }
+
+    const admin = await withSecrets(adminId);
+
+    if (!admin?.twoFactor?.enabled) {
+        throw twoFactorError('Two-factor authentication is not enabled');
+    }
+    if (admin.twoFactor.lockedUntil > new Date()) {
+        throw twoFactorError('Too many invalid codes. Try again later.', 429);
+    }
+
+    let result = null;
+
+    if (code) {
+        if (await acceptTotp(admin, admin.twoFactor.secret, code)) {
+            result = { method: 'totp' };
+        }
+    } else if (recoveryCode) {
+        // Pulled atomically, so a recovery code cannot be used twice
+        const used = await Admin.findOneAndUpdate(
+            { _id: admin._id, 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) },
+            { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(recoveryCode) } },
+            { new: true }
+        ).select('+twoFactor.recoveryCodes');
+
+        if (used) {
+            result = { method: 'recovery_code', recoveryCodesLeft: used.twoFactor.recoveryCodes.length };
+        }
+    }
+
+    if (!result) {
+        const counted = await Admin.findOneAndUpdate(
+            { _id: admin._id },
+            { $inc: { 'twoFactor.failedAttempts': 1 } },
+            { new: true }
+        );
+
+        if (counted.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+            await Admin.updateOne({ _id: admin._id }, {
+                'twoFactor.failedAttempts': 0,
+                'twoFactor.lockedUntil': new Date(Date.now() + LOCK_MS)
+            });
+
+            console.warn(`⚠️ Two-factor checks locked for admin ${admin.username} after ${MAX_FAILED_ATTEMPTS} invalid codes`);
+        }
+        throw twoFactorError('Invalid authentication code', 401);
+    }
+
+    if (admin.twoFactor.failedAttempts > 0) {
+        await Admin.updateOne({ _id: admin._id }, { 'twoFactor.failedAttempts': 0 });
+    }
+
+    return result;
+};
+
+/**
+ * Replace the recovery codes, e.g. when most have been used.
+ *
+ * @returns {Promise<string[]>} the new codes, to be shown once
+ */
+export const regenerateRecoveryCodes = async (adminId) => {
+    const recoveryCodes = generateRecoveryCodes();
+    await Admin.updateOne({ _id: adminId }, { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) });
+    return recoveryCodes;
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret.
+ */
+export const disableTwoFactor = (adminId) => Admin.updateOne({ _id: adminId }, {
+    $set: { 'twoFactor.enabled': false, 'twoFactor.failedAttempts': 0 },
+    $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.lockedUntil': 1,
+        'twoFactor.enabledAt': 1
+    }
+});
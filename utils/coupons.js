@@ -0,0 +1,168 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const couponError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Case-insensitive membership; an empty list matches everything
+const matchesList = (list, value) => {
+    if (!list || list.length === 0) return true;
+    return list.some(entry => entry.toLowerCase() === value?.toLowerCase());
+};
+
+/**
+ * Check a coupon code against a priced cart and work out the discount.
+ * Throws a 400 error describing the first rule the cart fails.
+ *
+ * @param {string} code
+ * @param {Object} cart
+ * @param {Array} cart.products - priced line items (see utils/pricing.js)
+ * @param {number} cart.subtotal
+ * @param {string} [cart.userId] - enables the per-user limit check
+ * @returns {Promise<{coupon: Object, discount: number}>}
+ */
+export const evaluateCoupon = async (code, { products, subtotal, userId }) => {
+    if (typeof code !== 'string') {
+        throw couponError('Coupon code must be a string');
+    }
+
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+    const now = new Date();
+
+    if (!coupon || !coupon.isActive) {
+        throw couponError('Invalid coupon code');
+    }
+
+    if (coupon.validFrom && now < coupon.validFrom) {
+        throw couponError('This coupon is not active yet');
+    }
+
+    if (coupon.validUntil && now > coupon.validUntil) {
+        throw couponError('This coupon has expired');
+    }
+
+    if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+        throw couponError('This coupon has reached its usage limit');
+    }
+
+    if (subtotal < coupon.minCartValue) {
+        throw couponError(`Add items worth ₹${roundMoney(coupon.minCartValue - subtotal)} more to use this coupon`);
+    }
+
+    if (userId) {
+        const userRedemptions = await CouponRedemption.countDocuments({
+            couponId: coupon._id,
+            userId,
+            status: 'applied'
+        });
+
+        if (userRedemptions >= coupon.perUserLimit) {
+            throw couponError('You have already used this coupon');
+        }
+    }
+
+    const eligibleSubtotal = products
+        .filter(p => matchesList(coupon.applicableCategories, p.category))
+        .filter(p => matchesList(coupon.applicableBrands, p.brand))
+        .reduce((sum, p) => sum + p.totalPrice, 0);
+
+    if (eligibleSubtotal <= 0) {
+        throw couponError('This coupon does not apply to any item in your cart');
+    }
+
+    let discount = coupon.discountType === 'percentage'
+        ? eligibleSubtotal * coupon.discountValue / 100
+        : coupon.discountValue;
+
+    if (coupon.maxDiscount !== null) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+
+    return {
+        coupon,
+        discount: roundMoney(Math.min(discount, eligibleSubtotal))
+    };
+};
+
+/**
+ * Record a coupon use in the first of the user's free per-user slots. Applied
+ * redemptions hold their slot under a unique index, so two concurrent orders
+ * by the same user cannot both take the last one.
+ */
+const createRedemption = async (coupon, { userId, orderId, discount }) => {
+    const applied = await CouponRedemption.find({ couponId: coupon._id, userId, status: 'applied' }).select('slot');
+    const usedSlots = applied.map(r => r.slot);
+    // Redemptions from before slots existed still count against the limit
+    const slots = coupon.perUserLimit - usedSlots.filter(slot => slot === undefined).length;
+
+    for (let slot = 0; slot < slots; slot++) {
+        if (usedSlots.includes(slot)) continue;
+
+        try {
+            return await CouponRedemption.create({
+                couponId: coupon._id,
+                code: coupon.code,
+                userId,
+                orderId,
+                discount,
+                slot
+            });
+        } catch (error) {
+            // Taken by a concurrent order; try the next one
+            if (error.code !== 11000 || !error.keyPattern?.slot) throw error;
+        }
+    }
+
+    throw couponError('You have already used this coupon', 409);
+};
+
+/**
+ * Record a coupon use against an order. The global usage counter is taken
+ * with a conditional update and the per-user limit with a unique slot, so
+ * concurrent orders cannot overshoot either.
+ */
+export const redeemCoupon = async (coupon, { userId, orderId, discount }) => {
+    const claimed = await Coupon.findOneAndUpdate(
+        {
+            _id: coupon._id,
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } }
+    );
+
+    if (!claimed) {
+        throw couponError('This coupon has reached its usage limit', 409);
+    }
+
+    try {
+        return await createRedemption(claimed, { userId, orderId, discount });
+    } catch (error) {
+        await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+        throw error;
+    }
+};
+
+/**
+ * Give a cancelled order's coupon use back.
+ *
+ * @returns {Promise<boolean>} whether a redemption was released
+ */
+export const releaseCouponRedemption = async (orderId) => {
+    const redemption = await CouponRedemption.findOneAndUpdate(
+        { orderId, status: 'applied' },
+        { status: 'released' }
+    );
+
+    if (!redemption) return false;
+
+    await Coupon.updateOne({ _id: redemption.couponId }, { $inc: { usedCount: -1 } });
+    return true;
+};
@@ -31,15 +31,12 @@ const createDefaultAdmin = async () => {
             }).select('+password');
 
             if (adminWithPassword) {
-                console.log('🔍 Testing password verification...');
                 const isMatch = await adminWithPassword.comparePassword(process.env.ADMIN_PASSWORD);
-                console.log('🔍 Password verification result:', isMatch);
 
                 if (!isMatch) {
-                    console.log('⚠️ Password mismatch. Updating password...');
                     adminWithPassword.password = process.env.ADMIN_PASSWORD;
                     await adminWithPassword.save();
-                    console.log('✅ Password updated successfully');
+                    console.log('✅ Password reset to ADMIN_PASSWORD');
                 }
             }
 
@@ -53,6 +50,7 @@ const createDefaultAdmin = async () => {
             email: process.env.ADMIN_EMAIL,
             password: process.env.ADMIN_PASSWORD,
             name: 'System Administrator',
+            role: 'owner',
             isActive: true
         });
 
@@ -60,19 +58,7 @@ const createDefaultAdmin = async () => {
         console.log('✅ Admin created successfully');
         console.log(`👤 Username: ${process.env.ADMIN_USERNAME}`);
         console.log(`📧 Email: ${process.env.ADMIN_EMAIL}`);
-        console.log(`🔐 Password: ${process.env.ADMIN_PASSWORD}`);
-
-        // Verify the created admin
-        console.log('🔍 Verifying created admin...');
-        const verifyAdmin = await Admin.findOne({
-            username: process.env.ADMIN_USERNAME
-        }).select('+password');
-
-        if (verifyAdmin) {
-            const testMatch = await verifyAdmin.comparePassword(process.env.ADMIN_PASSWORD);
-            console.log('🔍 Post-creation verification:', testMatch);
-            console.log('🆔 Admin ID:', verifyAdmin._id);
-        }
+        console.log('🆔 Admin ID:', admin._id);
 
     } catch (error) {
         console.error('❌ Error creating admin:', error.message);
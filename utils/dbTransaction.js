@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+let warnedUnsupported = false;
+
+// Standalone mongod (typical in development) has no multi-document transactions
+const isTransactionUnsupported = (error) =>
+    error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+
+/**
+ * Run `work(session)` in a MongoDB transaction, retried by the driver on
+ * transient errors. Without a replica set, runs `work(null)` unguarded
+ * instead of failing.
+ *
+ * @param {Function} work - async (session) => void; must be safe to re-run
+ */
+export const withDbTransaction = async (work) => {
+    const session = await mongoose.startSession();
+
+    try {
+        await session.withTransaction(() => work(session));
+    } catch (error) {
+        if (!isTransactionUnsupported(error)) throw error;
+
+        if (!warnedUnsupported) {
+            warnedUnsupported = true;
+            console.warn('⚠️ MongoDB transactions unavailable (not a replica set); writing without one');
+        }
+        await work(null);
+    } finally {
+        await session.endSession();
+    }
+};
@@ -0,0 +1,101 @@
+import os from 'os';
+import mongoose from 'mongoose';
+import JobLock from '../models/JobLock.js';
+import JobRun from '../models/JobRun.js';
+
+const OWNER = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+
+/**
+ * Register a periodic job. Runs are serialised across server instances by
+ * a lease in the JobLock collection, and each run is logged to JobRun.
+ *
+ * @param {string} name
+ * @param {Function} handler - async () => result to store on the run
+ * @param {Object} options
+ * @param {number} options.intervalMs
+ */
+export const registerJob = (name, handler, { intervalMs }) => {
+    jobs.set(name, { name, handler, intervalMs, timer: null, running: false });
+};
+
+/**
+ * Take the lease for a job. It is held for the job's interval and not
+ * released early, so however many instances run, the job runs about once
+ * per interval, and a crashed instance blocks it for one cycle at most.
+ *
+ * @returns {Promise<boolean>}
+ */
+const acquireLock = async (name, ttlMs) => {
+    const now = new Date();
+    try {
+        await JobLock.findOneAndUpdate(
+            { name, $or: [{ lockedUntil: { $lte: now } }, { owner: OWNER }] },
+            { $set: { owner: OWNER, lockedUntil: new Date(now.getTime() + ttlMs) } },
+            { upsert: true }
+        );
+        return true;
+    } catch (error) {
+        // Duplicate key: another instance holds a live lease
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * Run a job once, if this instance can take its lease.
+ *
+ * @returns {Promise<Object|null>} the JobRun, or null if skipped
+ */
+export const runJob = async (name) => {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Unknown job: ${name}`);
+
+    // Skip while disconnected or while a previous run on this instance is still going
+    if (job.running || mongoose.connection.readyState !== 1) return null;
+    job.running = true;
+
+    try {
+        if (!await acquireLock(name, job.intervalMs)) return null;
+
+        const run = await JobRun.create({ name, owner: OWNER });
+
+        try {
+            run.result = await job.handler();
+            run.status = 'success';
+        } catch (error) {
+            console.error(`❌ Job ${name} failed:`, error);
+            run.status = 'failed';
+            run.error = error.message;
+        }
+
+        run.finishedAt = new Date();
+        run.durationMs = run.finishedAt - run.startedAt;
+        await run.save();
+
+        return run;
+    } catch (error) {
+        console.error(`❌ Job ${name} could not run:`, error.message);
+        return null;
+    } finally {
+        job.running = false;
+    }
+};
+
+export const startJobs = () => {
+    for (const job of jobs.values()) {
+        if (job.timer) continue;
+        job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+        // Never keep the process alive just for a job
+        job.timer.unref();
+        console.log(`⏱️ Job ${job.name} scheduled every ${Math.round(job.intervalMs / 1000)}s`);
+    }
+};
+
+export const stopJobs = () => {
+    for (const job of jobs.values()) {
+        clearInterval(job.timer);
+        job.timer = null;
+    }
+};
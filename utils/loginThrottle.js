@@ -0,0 +1,136 @@
+import bcrypt from 'bcryptjs';
+import LoginThrottle from '../models/LoginThrottle.js';
+import AdminLoginEvent from '../models/AdminLoginEvent.js';
+import { describeDevice } from './adminSessions.js';
+
+// Failures older than this no longer count
+const WINDOW_MS = 15 * 60 * 1000;
+// Failures allowed before each further attempt has to wait
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_MS = 60 * 1000;
+const LOCK_MS = 15 * 60 * 1000;
+// Many people can share an IP (office, mobile carrier NAT), so it gets more room
+const LOCK_AFTER = { user: 10, ip: 50 };
+
+const delayFor = (failures) => failures < FREE_ATTEMPTS
+    ? 0
+    : Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+
+const keysFor = ({ username, ip }) => [
+    username && `user:${String(username).trim().toLowerCase().slice(0, 100)}`,
+    ip && `ip:${ip}`
+].filter(Boolean);
+
+/**
+ * Whether a login for this username from this IP may be tried now.
+ *
+ * @returns {Promise<{allowed: true} | {allowed: false, reason: 'locked'|'throttled', retryAfter: number}>}
+ *   retryAfter in seconds
+ */
+export const checkLoginAllowed = async ({ username, ip }) => {
+    const now = Date.now();
+    const throttles = await LoginThrottle.find({ key: { $in: keysFor({ username, ip }) } });
+
+    let reason = null;
+    let waitMs = 0;
+
+    for (const throttle of throttles) {
+        if (throttle.lockedUntil > now) {
+            reason = 'locked';
+            waitMs = Math.max(waitMs, throttle.lockedUntil - now);
+            continue;
+        }
+
+        const nextAttemptAt = throttle.lastFailureAt?.getTime() + delayFor(throttle.failures);
+        if (nextAttemptAt > now && throttle.lastFailureAt > now - WINDOW_MS) {
+            reason = reason || 'throttled';
+            waitMs = Math.max(waitMs, nextAttemptAt - now);
+        }
+    }
+
+    return reason
+        ? { allowed: false, reason, retryAfter: Math.ceil(waitMs / 1000) }
+        : { allowed: true };
+};
+
+/**
+ * Count a failed login against the username and the IP, locking either
+ * once it has failed too often within the window.
+ *
+ * @returns {Promise<boolean>} whether this failure caused a lockout
+ */
+export const recordLoginFailure = async ({ username, ip }) => {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - WINDOW_MS);
+    let locked = false;
+
+    for (const key of keysFor({ username, ip })) {
+        // One update, so concurrent failures are all counted; a stale count starts over
+        const throttle = await LoginThrottle.findOneAndUpdate(
+            { key },
+            [{
+                $set: {
+                    failures: {
+                        $cond: [
+                            { $lt: ['$lastFailureAt', cutoff] },
+                            1,
+                            { $add: [{ $ifNull: ['$failures', 0] }, 1] }
+                        ]
+                    },
+                    lastFailureAt: now,
+                    expiresAt: { $max: ['$expiresAt', new Date(now.getTime() + WINDOW_MS)] }
+                }
+            }],
+            { upsert: true, new: true }
+        );
+
+        if (throttle.failures >= LOCK_AFTER[key.split(':')[0]]) {
+            const lockedUntil = new Date(now.getTime() + LOCK_MS);
+            await LoginThrottle.updateOne({ key }, {
+                failures: 0,
+                lockedUntil,
+                expiresAt: new Date(lockedUntil.getTime() + WINDOW_MS)
+            });
+            console.warn(`⚠️ Admin login locked for ${LOCK_MS / 60000} minutes (${key.startsWith('ip:') ? key : 'username'}) after repeated failures`);
+            locked = true;
+        }
+    }
+
+    return locked;
+};
+
+/**
+ * Forget a username's failures after a successful login. The IP's count is
+ * kept, so one working account cannot be used to reset guessing at others.
+ */
+export const clearLoginFailures = (username) => LoginThrottle.deleteOne({ key: keysFor({ username })[0] });
+
+// bcrypt hash of a random string, compared against when the username does not exist
+let dummyHash = null;
+
+/**
+ * Spend the same time as a real password check, so response times do not
+ * reveal which usernames exist.
+ */
+export const comparePasswordForUnknownUser = async (password) => {
+    dummyHash = dummyHash || bcrypt.hash(Math.random().toString(36), 12);
+    await bcrypt.compare(String(password), await dummyHash);
+    return false;
+};
+
+/**
+ * Add a line to the admin login history. Never fails the login itself.
+ */
+export const recordLoginEvent = async ({ username, admin, outcome, req }) => {
+    try {
+        await AdminLoginEvent.create({
+            username: String(username || admin?.username || '').slice(0, 100),
+            adminId: admin?._id || null,
+            outcome,
+            ip: req.ip,
+            device: describeDevice(req.headers['user-agent'])
+        });
+    } catch (error) {
+        console.error('❌ Could not record admin login event:', error.message);
+    }
+};
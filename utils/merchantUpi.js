@@ -0,0 +1,187 @@
+import MerchantUpiUsage from '../models/MerchantUpiUsage.js';
+import Transaction from '../models/Transaction.js';
+
+const dayFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Asia/Kolkata',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+const poolError = (message, status = 503) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// 'YYYY-MM-DD' in IST, which is when UPI receive limits reset
+export const upiDay = (date = new Date()) => dayFormat.format(date);
+
+/**
+ * The VPAs payments can currently go to: the active pool entries, or the
+ * single merchantUPI (uncapped) when no pool is set up.
+ */
+export const merchantUpiPool = (settings) => {
+    if (settings.merchantUPIPool?.length > 0) {
+        return settings.merchantUPIPool.filter(entry => entry.active);
+    }
+
+    return settings.merchantUPI
+        ? [{ vpa: settings.merchantUPI, active: true, weight: 1, dailyAmountLimit: 0, dailyCountLimit: 0 }]
+        : [];
+};
+
+const fitsCaps = (entry, usage, amount) =>
+    (!entry.dailyCountLimit || usage.heldCount < entry.dailyCountLimit) &&
+    (!entry.dailyAmountLimit || usage.heldAmount + amount <= entry.dailyAmountLimit + 0.005);
+
+/**
+ * Count a payment against a VPA's caps for today. The filter only matches
+ * while there is room, so two payments racing for the last slot cannot
+ * both get it.
+ *
+ * @returns {Promise<boolean>} false when the VPA is full
+ */
+const holdUsage = async (entry, day, amount) => {
+    const filter = { vpa: entry.vpa, day };
+    if (entry.dailyCountLimit) filter.heldCount = { $lt: entry.dailyCountLimit };
+    if (entry.dailyAmountLimit) filter.heldAmount = { $lte: entry.dailyAmountLimit - amount + 0.005 };
+
+    try {
+        await MerchantUpiUsage.findOneAndUpdate(
+            filter,
+            { $inc: { heldAmount: amount, heldCount: 1 } },
+            { upsert: true }
+        );
+        return true;
+    } catch (error) {
+        // Duplicate key: today's row exists but is already at its cap
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * Choose the merchant VPA a new payment is sent to and count it against
+ * that VPA's daily caps. VPAs without room for the amount are skipped.
+ *
+ * Both rotations are worked out from today's usage, so every instance
+ * agrees without shared state: round-robin takes the VPA with the fewest
+ * payments per unit of weight, least-used the least amount per unit.
+ *
+ * @param {number} amount - amount the payment will be for
+ * @param {Object} settings - Settings document
+ * @returns {Promise<string>} the VPA, to be stored as Transaction.upi
+ */
+export const pickMerchantUpi = async (amount, settings) => {
+    const pool = merchantUpiPool(settings);
+
+    if (pool.length === 0) {
+        throw poolError('No merchant UPI ID is configured');
+    }
+
+    const day = upiDay();
+    const usage = await MerchantUpiUsage.find({ day, vpa: { $in: pool.map(entry => entry.vpa) } });
+    const usageOf = (vpa) => usage.find(u => u.vpa === vpa) || { heldAmount: 0, heldCount: 0 };
+
+    const load = settings.upiRotation === 'least_used'
+        ? (entry) => usageOf(entry.vpa).heldAmount / entry.weight
+        : (entry) => usageOf(entry.vpa).heldCount / entry.weight;
+
+    // Stable sort keeps pool order between VPAs with the same load
+    const candidates = pool
+        .filter(entry => fitsCaps(entry, usageOf(entry.vpa), amount))
+        .sort((a, b) => load(a) - load(b));
+
+    for (const entry of candidates) {
+        if (await holdUsage(entry, day, amount)) {
+            return entry.vpa;
+        }
+    }
+
+    throw poolError('Online payments are unavailable right now. Please try again later or choose cash on delivery.');
+};
+
+/**
+ * Give back the hold for a payment that was never created.
+ */
+export const releaseMerchantUpi = (vpa, amount, day = upiDay()) => MerchantUpiUsage.updateOne(
+    { vpa, day },
+    { $inc: { heldAmount: -amount, heldCount: -1 } }
+);
+
+/**
+ * Bring a VPA's usage in line with a settled payment: failed and expired
+ * payments give their hold back, successful ones count as received (and
+ * are held again if they came in after expiring). Transaction.upiUsage
+ * makes each step happen once however often this is called.
+ *
+ * @param {Object} transaction - settled Transaction
+ */
+export const recordMerchantUpiOutcome = async (transaction) => {
+    const { tid, upi: vpa, amount } = transaction;
+    const day = upiDay(transaction.createdAt);
+
+    if (transaction.status === 'success') {
+        const reheld = await Transaction.updateOne({ tid, upiUsage: 'released' }, { upiUsage: 'held' });
+        const counted = await Transaction.updateOne(
+            { tid, upiUsage: { $ne: 'received' } },
+            { upiUsage: 'received' }
+        );
+        if (counted.modifiedCount === 0) return;
+
+        await MerchantUpiUsage.updateOne(
+            { vpa, day },
+            {
+                $inc: {
+                    receivedAmount: amount,
+                    receivedCount: 1,
+                    ...(reheld.modifiedCount > 0 && { heldAmount: amount, heldCount: 1 })
+                }
+            },
+            { upsert: true }
+        );
+        return;
+    }
+
+    const released = await Transaction.updateOne({ tid, upiUsage: 'held' }, { upiUsage: 'released' });
+    if (released.modifiedCount > 0) {
+        await releaseMerchantUpi(vpa, amount, day);
+    }
+};
+
+/**
+ * Per-VPA daily totals, with the caps of VPAs still in the pool.
+ *
+ * @param {string} from - first day, 'YYYY-MM-DD'
+ * @param {string} to - last day, 'YYYY-MM-DD'
+ * @param {Object} settings - Settings document
+ */
+export const getMerchantUpiUsage = async (from, to, settings) => {
+    const usage = await MerchantUpiUsage.find({ day: { $gte: from, $lte: to } })
+        .sort({ day: -1, vpa: 1 })
+        .lean();
+
+    const configured = settings.merchantUPIPool?.length > 0
+        ? settings.merchantUPIPool
+        : merchantUpiPool(settings);
+
+    return usage.map(({ vpa, day, heldAmount, heldCount, receivedAmount, receivedCount }) => {
+        const entry = configured.find(e => e.vpa === vpa);
+
+        return {
+            day,
+            vpa,
+            label: entry?.label,
+            inPool: Boolean(entry),
+            active: entry?.active ?? false,
+            weight: entry?.weight,
+            dailyAmountLimit: entry?.dailyAmountLimit ?? 0,
+            dailyCountLimit: entry?.dailyCountLimit ?? 0,
+            heldAmount: Math.round(heldAmount * 100) / 100,
+            heldCount,
+            receivedAmount: Math.round(receivedAmount * 100) / 100,
+            receivedCount
+        };
+    });
+};
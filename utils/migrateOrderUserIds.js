@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+/*
+ * Before customer accounts, orders stored whatever userId string the client
+ * sent. Order.userId is now a User reference, so those orders would never
+ * match a customer's queries. This links the ones whose id is an existing
+ * user's and moves the rest to legacyUserId, where admins can still find
+ * them (GET /api/order/orders?userId=...). Safe to run more than once.
+ */
+const BATCH_SIZE = 500;
+
+const migrateOrderUserIds = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI, {
+            dbName: "DmartUpiii",
+        });
+
+        console.log('✅ Connected to MongoDB');
+
+        let linked = 0;
+        let moved = 0;
+
+        // Raw collection, so the string values are not cast on the way in
+        const cursor = Order.collection.find({ userId: { $type: 'string' } }, { projection: { userId: 1 } });
+        let batch = [];
+
+        const flush = async () => {
+            if (batch.length === 0) return;
+
+            const hexIds = batch.map(o => o.userId).filter(id => /^[0-9a-fA-F]{24}$/.test(id));
+            const users = await User.find({ _id: { $in: hexIds } }).select('_id');
+            const userIds = new Set(users.map(u => u._id.toString()));
+
+            await Order.collection.bulkWrite(batch.map(({ _id, userId }) => {
+                if (userIds.has(userId.toLowerCase())) {
+                    linked++;
+                    return { updateOne: { filter: { _id }, update: { $set: { userId: new mongoose.Types.ObjectId(userId) } } } };
+                }
+
+                moved++;
+                return {
+                    updateOne: {
+                        filter: { _id },
+                        update: {
+                            ...(userId.trim() && { $set: { legacyUserId: userId } }),
+                            $unset: { userId: 1 }
+                        }
+                    }
+                };
+            }));
+            batch = [];
+        };
+
+        for await (const order of cursor) {
+            batch.push(order);
+            if (batch.length >= BATCH_SIZE) await flush();
+        }
+        await flush();
+
+        console.log(`✅ Orders linked to customer accounts: ${linked}`);
+        console.log(`📦 Orders moved to legacyUserId: ${moved}`);
+    } catch (error) {
+        console.error('❌ Error migrating order user ids:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+};
+
+migrateOrderUserIds();
@@ -0,0 +1,144 @@
+import Order from '../models/Order.js';
+import { commitOrderStock, releaseOrderStock } from './stock.js';
+import { releaseCouponRedemption } from './coupons.js';
+import { createRefundForOrder } from './refunds.js';
+import { sendSms } from './sms/index.js';
+
+/*
+ * Allowed order status transitions. Anything not listed is rejected,
+ * so delivered and cancelled orders are final.
+ */
+export const ORDER_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+export const canTransition = (from, to) => ORDER_TRANSITIONS[from]?.includes(to) ?? false;
+
+// Side effects run after a transition is stored, keyed by the new status
+const transitionHooks = new Map();
+
+export const onOrderTransition = (status, hook) => {
+    if (!transitionHooks.has(status)) {
+        transitionHooks.set(status, []);
+    }
+    transitionHooks.get(status).push(hook);
+};
+
+/**
+ * Move an order to a new status and append it to statusHistory. The update
+ * is conditional on the status we validated against, so two concurrent
+ * transitions cannot both apply.
+ *
+ * @param {Object|string} orderOrId
+ * @param {string} to
+ * @param {Object} [options]
+ * @param {{type: string, id?: string, name?: string}} [options.actor]
+ * @param {string} [options.note]
+ * @param {Object} [options.changes] - extra fields set in the same update
+ * @param {ClientSession} [options.session] - database transaction to write in
+ * @param {boolean} [options.deferHooks] - leave side effects to the caller
+ *   (runOrderTransitionHooks), e.g. until the session's transaction commits
+ * @returns {Promise<Object>} the updated order
+ */
+export const transitionOrder = async (orderOrId, to, {
+    actor = { type: 'system' },
+    note,
+    changes = {},
+    session = null,
+    deferHooks = false
+} = {}) => {
+    const order = typeof orderOrId === 'object' && orderOrId.status
+        ? orderOrId
+        : await Order.findById(orderOrId).session(session);
+
+    if (!order) {
+        const error = new Error('Order not found');
+        error.status = 404;
+        throw error;
+    }
+
+    const from = order.status;
+
+    if (!ORDER_TRANSITIONS[to]) {
+        const error = new Error('Invalid order status');
+        error.status = 400;
+        throw error;
+    }
+
+    if (!canTransition(from, to)) {
+        const error = new Error(`Cannot change order status from ${from} to ${to}`);
+        error.status = 409;
+        throw error;
+    }
+
+    const updated = await Order.findOneAndUpdate(
+        { _id: order._id, status: from },
+        {
+            ...changes,
+            status: to,
+            $push: {
+                statusHistory: { from, to, at: new Date(), actor, note }
+            }
+        },
+        { new: true, runValidators: true, session }
+    );
+
+    if (!updated) {
+        const error = new Error('Order status was changed by another request. Please retry.');
+        error.status = 409;
+        throw error;
+    }
+
+    if (!deferHooks) {
+        await runOrderTransitionHooks(updated, { from, to, actor, note });
+    }
+
+    return updated;
+};
+
+/**
+ * Run the side effects of a stored transition. transitionOrder does this
+ * itself unless told to defer them.
+ */
+export const runOrderTransitionHooks = async (order, { from, to, actor, note }) => {
+    for (const hook of transitionHooks.get(to) || []) {
+        try {
+            await hook(order, { from, to, actor, note });
+        } catch (error) {
+            console.error(`❌ Order ${order.orderNumber} ${from} → ${to} hook failed:`, error);
+        }
+    }
+
+    console.log(`📋 Order ${order.orderNumber}: ${from} → ${to} (${actor.type}${actor.name ? `: ${actor.name}` : ''})`);
+};
+
+/* ======================================================
+   DEFAULT SIDE EFFECTS
+   ====================================================== */
+onOrderTransition('confirmed', (order) => commitOrderStock(order._id));
+
+onOrderTransition('cancelled', async (order, { actor, note }) => {
+    await releaseOrderStock(order._id, ['reserved', 'committed']);
+    await releaseCouponRedemption(order._id);
+    await createRefundForOrder(order, {
+        source: 'cancellation',
+        reason: order.cancellation?.reason || note,
+        initiatedBy: actor.type === 'admin' ? actor.name : actor.type
+    });
+});
+
+const CUSTOMER_MESSAGES = {
+    confirmed: (order) => `Your order ${order.orderNumber} is confirmed.`,
+    shipped: (order) => `Your order ${order.orderNumber} has been shipped.`,
+    delivered: (order) => `Your order ${order.orderNumber} has been delivered. Thank you for shopping with us!`,
+    cancelled: (order) => `Your order ${order.orderNumber} has been cancelled.`
+};
+
+for (const [status, message] of Object.entries(CUSTOMER_MESSAGES)) {
+    onOrderTransition(status, (order) => sendSms(order.deliveryAddress.phone, message(order)));
+}
@@ -0,0 +1,124 @@
+import Order from '../models/Order.js';
+
+// Attempts a customer gets at paying for one order
+export const maxPaymentAttempts = () => parseInt(process.env.MAX_PAYMENT_ATTEMPTS) || 5;
+
+// How long an unpaid online order stays open for the customer to pay or retry
+export const paymentRetryWindowMs = () => (parseInt(process.env.PAYMENT_RETRY_WINDOW_MINUTES) || 30) * 60 * 1000;
+
+const attemptError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Start a payment attempt for an order. The claim is a single conditional
+ * update, so two concurrent requests cannot both start one: the loser gets
+ * the live attempt's tid back instead.
+ *
+ * @param {string} orderId
+ * @param {string} userId - must own the order
+ * @param {Object} attempt
+ * @param {string} attempt.tid
+ * @param {string} attempt.payType
+ * @param {number} attempt.amount
+ * @param {Date} attempt.expires
+ * @returns {Promise<{order?: Object, liveTid?: string}>}
+ */
+export const claimPaymentAttempt = async (orderId, userId, { tid, payType, amount, expires }) => {
+    const now = new Date();
+    const max = maxPaymentAttempts();
+
+    const order = await Order.findOneAndUpdate(
+        {
+            _id: orderId,
+            userId,
+            status: 'pending',
+            paymentStatus: { $in: ['pending', 'failed'] },
+            'activePayment.expires': { $not: { $gt: now } },
+            // Fewer than `max` attempts so far
+            [`paymentAttempts.${max - 1}`]: { $exists: false }
+        },
+        {
+            $set: { activePayment: { tid, expires } },
+            $push: { paymentAttempts: { tid, payType, amount, status: 'pending', at: now } }
+        },
+        { new: true }
+    );
+
+    if (order) {
+        console.log(`💳 Order ${order.orderNumber}: payment attempt ${order.paymentAttempts.length}/${max} (${tid})`);
+        return { order };
+    }
+
+    // Work out which condition failed
+    const current = await Order.findOne({ _id: orderId, userId });
+
+    if (!current) {
+        throw attemptError('Order not found', 404);
+    }
+    if (!['pending', 'failed'].includes(current.paymentStatus)) {
+        throw attemptError(`Order is already ${current.paymentStatus}`, 400);
+    }
+    if (current.status !== 'pending') {
+        throw attemptError(`Cannot pay for a ${current.status} order`, 400);
+    }
+    if (current.activePayment?.expires > now) {
+        return { liveTid: current.activePayment.tid };
+    }
+    if (current.paymentAttempts.length >= max) {
+        throw attemptError(`Maximum of ${max} payment attempts reached for this order`, 429);
+    }
+
+    throw attemptError('Order was updated by another request. Please retry.', 409);
+};
+
+/**
+ * Give up an attempt whose transaction was never created.
+ */
+export const releasePaymentAttempt = (orderId, tid) => Order.updateOne(
+    { _id: orderId, 'activePayment.tid': tid },
+    {
+        $set: { activePayment: null },
+        $pull: { paymentAttempts: { tid } }
+    }
+);
+
+/**
+ * Record an attempt's outcome on its order and free the order for the
+ * next attempt. Runs inside settlePayment's session.
+ */
+export const settlePaymentAttempt = async (orderId, tid, status, session) => {
+    await Order.updateOne(
+        { _id: orderId },
+        {
+            $set: {
+                'paymentAttempts.$[attempt].status': status,
+                'paymentAttempts.$[attempt].settledAt': new Date()
+            }
+        },
+        { arrayFilters: [{ 'attempt.tid': tid }], session }
+    );
+
+    await Order.updateOne(
+        { _id: orderId, 'activePayment.tid': tid },
+        { $set: { activePayment: null } },
+        { session }
+    );
+};
+
+/**
+ * Whether the order may still be retried after a failed attempt.
+ */
+export const canRetryPayment = (order) => order.paymentAttempts.length < maxPaymentAttempts();
+
+/**
+ * Whether a pending order is still waiting on the customer to pay: an
+ * attempt is live, or they can retry and the retry window has not passed.
+ * Such an order is left open rather than cancelled.
+ */
+export const isAwaitingPayment = (order, now = new Date()) => order.status === 'pending' && (
+    order.activePayment?.expires > now ||
+    (canRetryPayment(order) && order.updatedAt > new Date(now.getTime() - paymentRetryWindowMs()))
+);
@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Transaction from '../models/Transaction.js';
+import { transitionOrder } from './orderStatus.js';
+import { isAwaitingPayment } from './paymentAttempts.js';
+
+const PAID_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+/**
+ * The paymentStatus an order should have, judged from its transactions.
+ *
+ * @returns {string|null} null when the transactions do not decide it
+ */
+export const expectedPaymentStatus = (order, transactions) => {
+    const paid = transactions.filter(t => PAID_STATUSES.includes(t.status));
+
+    if (paid.length > 0) {
+        const paidTotal = paid.reduce((sum, t) => sum + t.amount, 0);
+        const refundedTotal = paid.reduce((sum, t) => sum + (t.refundedAmount || 0), 0);
+        const fullRefund = Math.min(paidTotal, order.orderSummary.finalTotal) - 0.01;
+
+        if (refundedTotal >= fullRefund) return 'refunded';
+        if (refundedTotal > 0) return 'partially_refunded';
+        return 'paid';
+    }
+
+    if (transactions.some(t => t.status === 'pending')) return 'pending';
+    if (transactions.length > 0) return 'failed';
+    return null;
+};
+
+/**
+ * Orders whose paymentStatus (or pending status) disagrees with their
+ * transactions. A failed order the customer can still retry is not one.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.days] - only orders with transactions this recent
+ * @param {string[]} [options.orderIds] - only these orders
+ * @returns {Promise<Array>}
+ */
+export const findPaymentMismatches = async ({ days = 30, orderIds } = {}) => {
+    const match = { orderId: { $ne: null } };
+    if (orderIds) {
+        match.orderId = { $in: orderIds.map(id => new mongoose.Types.ObjectId(id)) };
+    } else {
+        match.createdAt = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    }
+
+    const groups = await Transaction.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$orderId',
+                transactions: {
+                    $push: {
+                        tid: '$tid',
+                        status: '$status',
+                        amount: '$amount',
+                        refundedAmount: '$refundedAmount',
+                        createdAt: '$createdAt'
+                    }
+                }
+            }
+        }
+    ]);
+
+    const orders = await Order.find({ _id: { $in: groups.map(g => g._id) } })
+        .select('orderNumber status paymentStatus orderSummary.finalTotal paymentAttempts activePayment updatedAt');
+    const ordersById = new Map(orders.map(o => [o._id.toString(), o]));
+
+    const mismatches = [];
+
+    for (const { _id, transactions } of groups) {
+        const order = ordersById.get(_id.toString());
+        if (!order) continue;
+
+        const expected = expectedPaymentStatus(order, transactions);
+        if (!expected) continue;
+
+        const paidButPending = expected === 'paid' && order.status === 'pending';
+        const failedButPending = expected === 'failed' && order.status === 'pending' && !isAwaitingPayment(order);
+
+        if (expected !== order.paymentStatus || paidButPending || failedButPending) {
+            mismatches.push({
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                paymentStatus: order.paymentStatus,
+                expectedPaymentStatus: expected,
+                // The order should also move out of pending
+                expectedStatus: paidButPending ? 'confirmed' : failedButPending ? 'cancelled' : order.status,
+                transactions
+            });
+        }
+    }
+
+    return mismatches;
+};
+
+/**
+ * Bring one mismatched order in line with its transactions.
+ *
+ * @param {Object} mismatch - from findPaymentMismatches
+ * @param {Object} actor - admin making the fix
+ * @returns {Promise<Object>} the order after the fix
+ */
+export const fixPaymentMismatch = async (mismatch, actor) => {
+    const note = `Payment status reconciled: ${mismatch.paymentStatus} → ${mismatch.expectedPaymentStatus}`;
+
+    if (mismatch.expectedStatus !== mismatch.status) {
+        if (mismatch.expectedStatus === 'cancelled') {
+            // The customer may have started another attempt since the report
+            const order = await Order.findById(mismatch.orderId);
+            if (order && isAwaitingPayment(order)) {
+                const error = new Error('Customer can still retry payment for this order');
+                error.status = 409;
+                throw error;
+            }
+        }
+
+        return transitionOrder(mismatch.orderId, mismatch.expectedStatus, {
+            actor,
+            note,
+            changes: mismatch.expectedStatus === 'confirmed'
+                ? { paymentStatus: mismatch.expectedPaymentStatus }
+                : {
+                    paymentStatus: mismatch.expectedPaymentStatus,
+                    cancellation: { reason: 'payment_issue', cancelledBy: 'system', at: new Date() }
+                }
+        });
+    }
+
+    // Conditional, so an order updated since the report is left alone
+    const order = await Order.findOneAndUpdate(
+        { _id: mismatch.orderId, paymentStatus: mismatch.paymentStatus },
+        { paymentStatus: mismatch.expectedPaymentStatus },
+        { new: true }
+    );
+    console.log(`🔧 Order ${mismatch.orderNumber}: ${note} (${actor.name})`);
+    return order;
+};
@@ -0,0 +1,38 @@
+import { EventEmitter } from 'events';
+
+const emitter = new EventEmitter();
+// One listener per open status stream
+emitter.setMaxListeners(0);
+
+// Statuses after which a payment's stream has nothing more to say
+export const TERMINAL_PAYMENT_STATUSES = ['success', 'failed', 'expired', 'refunded', 'partially_refunded'];
+
+/**
+ * Public view of a transaction's status, as sent to customers.
+ */
+export const toPaymentStatus = (transaction) => ({
+    tid: transaction.tid,
+    status: transaction.status,
+    amount: transaction.amount,
+    payType: transaction.payType,
+    upi: transaction.upi,
+    createdAt: transaction.createdAt,
+    completedAt: transaction.completedAt
+});
+
+/**
+ * Tell open status streams on this instance that a transaction changed.
+ * Streams also re-read the database on every heartbeat, so changes made by
+ * other instances arrive within one heartbeat.
+ */
+export const publishPaymentStatus = (transaction) => {
+    if (transaction) emitter.emit(transaction.tid, transaction);
+};
+
+/**
+ * @returns {Function} unsubscribe
+ */
+export const subscribePaymentStatus = (tid, listener) => {
+    emitter.on(tid, listener);
+    return () => emitter.off(tid, listener);
+};
@@ -0,0 +1,111 @@
+import PaymentMatch from '../models/PaymentMatch.js';
+
+const NOTE_ATTEMPTS = 50;
+
+const matchError = (message, status = 503) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+export const amountKey = (amount) => `amount:${toPaise(amount)}`;
+export const noteKey = (note) => `note:${note.toLowerCase()}`;
+
+/**
+ * Reserve a match key for a transaction. A key held by a live reservation
+ * cannot be taken; an expired one is reused in place.
+ *
+ * @returns {Promise<boolean>} false when the key is taken
+ */
+const claimMatchKey = async (key, tid, expiresAt) => {
+    try {
+        await PaymentMatch.findOneAndUpdate(
+            { key, expiresAt: { $lte: new Date() } },
+            { $set: { tid, expiresAt } },
+            { upsert: true }
+        );
+        return true;
+    } catch (error) {
+        // Duplicate key: a live reservation already holds it
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * In 'amount' mode, add a paise offset so no two live payments share an
+ * amount; in 'note' mode, reserve a note no live payment is using.
+ *
+ * @param {Object} params
+ * @param {number} params.amount - order amount in rupees
+ * @param {string} params.note - note to use when matching is off or by amount
+ * @param {string} params.tid
+ * @param {Object} settings - Settings document
+ * @returns {Promise<{amount: number, note: string, amountOffset: number, matchKey: string|null}>}
+ */
+export const assignPaymentMatch = async ({ amount, note, tid }, settings) => {
+    const mode = settings.paymentMatchMode;
+
+    if (mode === 'off') {
+        return { amount, note, amountOffset: 0, matchKey: null };
+    }
+
+    const expiresAt = new Date(Date.now() + settings.matchWindowMinutes * 60 * 1000);
+
+    if (mode === 'amount') {
+        const slots = settings.maxAmountOffsetPaise + 1;
+        const start = Math.floor(Math.random() * slots);
+
+        for (let i = 0; i < slots; i++) {
+            const offset = (start + i) % slots;
+            const charged = (toPaise(amount) + offset) / 100;
+            const key = amountKey(charged);
+
+            if (await claimMatchKey(key, tid, expiresAt)) {
+                return { amount: charged, note, amountOffset: offset, matchKey: key };
+            }
+        }
+
+        throw matchError('Too many payments of this amount are in progress. Please try again in a few minutes.');
+    }
+
+    for (let i = 0; i < NOTE_ATTEMPTS; i++) {
+        const candidate = `s${Math.floor(Math.random() * 900) + 100}`;
+        const key = noteKey(candidate);
+
+        if (await claimMatchKey(key, tid, expiresAt)) {
+            return { amount, note: candidate, amountOffset: 0, matchKey: key };
+        }
+    }
+
+    throw matchError('Too many payments are in progress. Please try again in a few minutes.');
+};
+
+/**
+ * Free a transaction's amount or note once it is settled or its attempt is
+ * given up, rather than holding it until the reservation expires.
+ */
+export const releasePaymentMatch = (tid) => PaymentMatch.deleteMany({ tid });
+
+/**
+ * Look up the transaction a bank credit or webhook belongs to from its
+ * amount and/or note, among live reservations.
+ *
+ * @param {Object} params
+ * @param {number} [params.amount]
+ * @param {string[]} [params.notes] - candidate notes (e.g. narration tokens)
+ * @returns {Promise<string|null>} tid
+ */
+export const findMatchedTid = async ({ amount, notes = [] }) => {
+    const keys = notes.map(noteKey);
+    if (amount !== undefined && !isNaN(amount)) keys.push(amountKey(amount));
+    if (keys.length === 0) return null;
+
+    const matches = await PaymentMatch.find({ key: { $in: keys }, expiresAt: { $gt: new Date() } });
+    const tids = [...new Set(matches.map(m => m.tid))];
+
+    // Amount and note pointing at different payments tells us nothing
+    return tids.length === 1 ? tids[0] : null;
+};
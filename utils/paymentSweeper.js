@@ -0,0 +1,92 @@
+import Transaction from '../models/Transaction.js';
+import Order from '../models/Order.js';
+import { settlePayment } from './payments.js';
+import { transitionOrder } from './orderStatus.js';
+import { paymentRetryWindowMs } from './paymentAttempts.js';
+
+const BATCH_SIZE = 100;
+
+// Extra time past `expires` for a late webhook or status poll to land first
+const graceMs = () => (parseInt(process.env.PAYMENT_EXPIRY_GRACE_SECONDS) || 120) * 1000;
+
+/**
+ * Cancel online orders left unpaid once the retry window has passed: after
+ * a failed attempt without another one, or without any attempt at all, so
+ * an order that is never paid for does not hold its reserved stock forever.
+ *
+ * @returns {Promise<number>} orders cancelled
+ */
+const cancelAbandonedOrders = async () => {
+    const now = new Date();
+    let cancelled = 0;
+
+    const abandoned = await Order.find({
+        paymentMethod: 'online',
+        status: 'pending',
+        paymentStatus: { $in: ['pending', 'failed'] },
+        'activePayment.expires': { $not: { $gt: now } },
+        updatedAt: { $lt: new Date(now.getTime() - paymentRetryWindowMs()) }
+    })
+        .sort({ updatedAt: 1 })
+        .limit(BATCH_SIZE);
+
+    for (const order of abandoned) {
+        try {
+            await transitionOrder(order, 'cancelled', {
+                actor: { type: 'system', name: 'payment-sweeper' },
+                note: 'Payment not completed',
+                changes: {
+                    paymentStatus: 'failed',
+                    cancellation: { reason: 'payment_issue', cancelledBy: 'system', at: now }
+                }
+            });
+            cancelled++;
+        } catch (error) {
+            // Paid or changed by someone else since we looked
+            if (error.status !== 409) throw error;
+        }
+    }
+
+    return cancelled;
+};
+
+/**
+ * Expire pending transactions past their deadline and cancel their orders
+ * (which releases reserved stock and coupons through the order state
+ * machine). settlePayment leaves an order open while it has retries or
+ * another live attempt left; those are cancelled here once abandoned.
+ *
+ * @returns {Promise<{expired: number, ordersCancelled: number}>}
+ */
+export const expireStaleTransactions = async () => {
+    const cutoff = new Date(Date.now() - graceMs());
+    let expired = 0;
+    let ordersCancelled = 0;
+
+    const stale = await Transaction.find({ status: 'pending', expires: { $lt: cutoff } })
+        .sort({ expires: 1 })
+        .limit(BATCH_SIZE);
+
+    for (const { tid, orderId } of stale) {
+        // Settles only if still pending, so a payment confirmed meanwhile is never expired
+        const transaction = await settlePayment(tid, 'expired', {
+            source: 'payment-sweeper',
+            note: `Payment ${tid} expired`,
+            changes: { errorMessage: 'Payment window expired' }
+        });
+        if (!transaction) continue;
+        expired++;
+
+        if (orderId && await Order.exists({ _id: orderId, status: 'cancelled' })) {
+            ordersCancelled++;
+        }
+    }
+
+    ordersCancelled += await cancelAbandonedOrders();
+
+    if (expired > 0 || ordersCancelled > 0) {
+        console.log(`🧹 Expired ${expired} stale transaction(s), cancelled ${ordersCancelled} order(s)`);
+    }
+
+    return { expired, ordersCancelled };
+};
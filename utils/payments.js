@@ -0,0 +1,188 @@
+import Order from '../models/Order.js';
+import Transaction from '../models/Transaction.js';
+import { transitionOrder, runOrderTransitionHooks } from './orderStatus.js';
+import { withDbTransaction } from './dbTransaction.js';
+import { publishPaymentStatus } from './paymentEvents.js';
+import { settlePaymentAttempt, canRetryPayment } from './paymentAttempts.js';
+import { openRefund } from './refunds.js';
+import { recordMerchantUpiOutcome } from './merchantUpi.js';
+import { releasePaymentMatch } from './paymentMatching.js';
+
+// Outcomes a payment can settle into, and what each means for its order
+const ORDER_PAYMENT_STATUS = {
+    success: 'paid',
+    failed: 'failed',
+    expired: 'failed'
+};
+
+/**
+ * Record a payment outcome on its order within the caller's session. A
+ * pending order is confirmed, or cancelled once it has no retries left;
+ * anything further along only has its paymentStatus updated.
+ *
+ * @returns {Promise<{transition?: Object, refund?: Object}>} work to do
+ *   once the session commits: the order transition's hooks, or refunding a
+ *   payment the order cannot keep
+ */
+const applyOutcomeToOrder = async (transaction, status, { source, actor, note, session }) => {
+    const order = await Order.findById(transaction.orderId).session(session);
+    if (!order) return {};
+
+    await settlePaymentAttempt(order._id, transaction.tid, status, session);
+
+    const paymentStatus = ORDER_PAYMENT_STATUS[status];
+
+    if (status === 'success') {
+        // Only one attempt can ever pay for the order
+        const claimed = await Order.updateOne(
+            { _id: order._id, paidTid: null, paymentStatus: { $in: ['pending', 'failed'] } },
+            { paidTid: transaction.tid },
+            { session }
+        );
+
+        if (claimed.modifiedCount === 0) {
+            console.warn(`⚠️ Duplicate payment ${transaction.tid} for order ${order.orderNumber}`);
+            return { refund: { source: 'duplicate_payment', reason: 'Order was already paid by another attempt' } };
+        }
+
+        if (order.status === 'cancelled') {
+            await Order.updateOne({ _id: order._id }, { paymentStatus }, { session });
+            console.warn(`⚠️ Payment ${transaction.tid} arrived after order ${order.orderNumber} was cancelled`);
+            return { refund: { source: 'cancellation', reason: 'Payment received after the order was cancelled' } };
+        }
+    } else if (!['pending', 'failed'].includes(order.paymentStatus)) {
+        // A failed attempt never undoes a payment that already went through
+        console.warn(`⚠️ Payment ${status} for order ${order.orderNumber} already ${order.paymentStatus}`);
+        return {};
+    }
+
+    // A failed attempt leaves the order open while the customer can still retry
+    // or is paying with another attempt (the sweeper cancels it if they never do)
+    const keepOpen = status !== 'success' && (canRetryPayment(order) || await Transaction.exists({
+        _id: { $ne: transaction._id },
+        orderId: order._id,
+        status: 'pending',
+        expires: { $gt: new Date() }
+    }).session(session));
+
+    if (order.status !== 'pending' || keepOpen) {
+        if (order.status !== 'pending') {
+            console.warn(`⚠️ Payment ${status} for order ${order.orderNumber} already ${order.status}`);
+        }
+        await Order.updateOne({ _id: order._id }, { paymentStatus }, { session });
+        return {};
+    }
+
+    const to = status === 'success' ? 'confirmed' : 'cancelled';
+    const transition = {
+        from: order.status,
+        to,
+        actor: actor || { type: 'system', name: source },
+        note: note || `Payment ${status}`
+    };
+
+    try {
+        const updated = await transitionOrder(order, to, {
+            actor: transition.actor,
+            note: transition.note,
+            changes: status === 'success' ? { paymentStatus } : {
+                paymentStatus,
+                cancellation: { reason: 'payment_issue', cancelledBy: 'system', at: new Date() }
+            },
+            session,
+            deferHooks: true
+        });
+        return { transition: { order: updated, ...transition } };
+    } catch (error) {
+        if (error.status !== 409) throw error;
+        console.warn(`⚠️ Order ${order.orderNumber}: ${error.message}`);
+        await Order.updateOne({ _id: order._id }, { paymentStatus }, { session });
+        return {};
+    }
+};
+
+/**
+ * The one place a payment's outcome is decided. Moves the transaction out
+ * of one of `fromStatuses` and updates its order in the same database
+ * transaction, then runs the order's side effects (stock, coupons, refunds,
+ * SMS), updates the merchant VPA's daily usage, frees its payment match and
+ * notifies status streams once that has committed.
+ *
+ * @param {string} tid
+ * @param {'success'|'failed'|'expired'} status
+ * @param {Object} options
+ * @param {string} options.source - what decided it, e.g. 'payment-webhook'
+ * @param {Object} [options.actor] - order history actor, when not the system
+ * @param {string} [options.note] - order history note, defaults to `Payment <status>`
+ * @param {string[]} [options.fromStatuses] - statuses the transaction may be settled from
+ * @param {Object} [options.changes] - extra transaction fields, e.g. upiRef
+ * @returns {Promise<Object|null>} the transaction, or null if it was not in `fromStatuses`
+ */
+export const settlePayment = async (tid, status, {
+    source,
+    actor,
+    note,
+    fromStatuses = ['pending'],
+    changes = {}
+}) => {
+    if (!ORDER_PAYMENT_STATUS[status]) {
+        const error = new Error(`Invalid payment outcome: ${status}`);
+        error.status = 400;
+        throw error;
+    }
+
+    let transaction = null;
+    let followUp = {};
+
+    // Re-run from scratch if the driver retries the transaction
+    await withDbTransaction(async (session) => {
+        followUp = {};
+        transaction = await Transaction.findOneAndUpdate(
+            { tid, status: { $in: fromStatuses } },
+            { completedAt: new Date(), ...changes, status },
+            { new: true, session }
+        );
+
+        if (transaction?.orderId) {
+            followUp = await applyOutcomeToOrder(transaction, status, { source, actor, note, session });
+        }
+    });
+
+    if (!transaction) return null;
+
+    console.log(`💳 Transaction ${tid} → ${status.toUpperCase()} (${source})`);
+
+    if (followUp.transition) {
+        await runOrderTransitionHooks(followUp.transition.order, followUp.transition);
+    }
+
+    // Money the order cannot keep goes back through the refund ledger
+    if (followUp.refund) {
+        try {
+            await openRefund({
+                ...followUp.refund,
+                transaction,
+                order: await Order.findById(transaction.orderId)
+            });
+        } catch (error) {
+            console.error(`❌ Could not open refund for ${tid}:`, error);
+        }
+    }
+
+    try {
+        await recordMerchantUpiOutcome(transaction);
+    } catch (error) {
+        console.error(`❌ Could not update UPI usage for ${tid}:`, error);
+    }
+
+    if (transaction.matchKey) {
+        try {
+            await releasePaymentMatch(tid);
+        } catch (error) {
+            console.error(`❌ Could not release payment match for ${tid}:`, error);
+        }
+    }
+
+    publishPaymentStatus(transaction);
+    return transaction;
+};
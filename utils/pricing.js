@@ -0,0 +1,142 @@
+import Product from '../models/Product.js';
+import Settings from '../models/Setting.js';
+import { evaluateCoupon } from './coupons.js';
+
+// Client totals within this many rupees of ours are treated as rounding noise
+const PRICE_TOLERANCE = 0.01;
+
+const SUMMARY_FIELDS = ['subtotal', 'totalMRP', 'couponDiscount', 'deliveryFee', 'finalTotal'];
+
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const pricingError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+// Merge repeated product ids and validate quantities
+const normalizeItems = (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw pricingError('At least one product is required');
+    }
+
+    const quantities = new Map();
+    for (const item of items) {
+        const quantity = Number(item?.quantity);
+
+        if (!item?.id || !Number.isInteger(quantity) || quantity < 1) {
+            throw pricingError('Each product needs an id and a whole-number quantity of at least 1');
+        }
+        quantities.set(item.id, (quantities.get(item.id) || 0) + quantity);
+    }
+    return quantities;
+};
+
+// Delivery fee rule: flat fee, waived at or above the free-delivery threshold
+export const calculateDeliveryFee = (amount, settings) => {
+    const fee = settings.deliveryFee || 0;
+    const threshold = settings.freeDeliveryThreshold || 0;
+
+    if (threshold > 0 && amount >= threshold) {
+        return 0;
+    }
+    return fee;
+};
+
+/**
+ * Price a cart from the database. Every figure in the returned summary is
+ * computed here; nothing the client sends is trusted except product ids,
+ * quantities and the coupon code.
+ *
+ * @param {Array<{id: string, quantity: number}>} items
+ * @param {Object} [options]
+ * @param {string} [options.couponCode]
+ * @param {string} [options.userId] - enables per-user coupon limits
+ * @returns {Promise<{products: Array, orderSummary: Object, couponUsed: Object, coupon: Object|null}>}
+ */
+export const priceOrder = async (items, { couponCode, userId } = {}) => {
+    const quantities = normalizeItems(items);
+    const settings = await Settings.getSettings();
+
+    const dbProducts = await Product.find({ id: { $in: [...quantities.keys()] }, status: 'active' });
+    const productsById = new Map(dbProducts.map(p => [p.id, p]));
+
+    const products = [];
+    for (const [id, quantity] of quantities) {
+        const product = productsById.get(id);
+
+        if (!product) {
+            throw pricingError(`Product with ID ${id} not found or inactive`);
+        }
+
+        if (product.stockQuantity < quantity) {
+            throw pricingError(`Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Requested: ${quantity}`);
+        }
+
+        products.push({
+            productId: product.id,
+            name: product.name,
+            brand: product.brand,
+            weight: product.weight,
+            image: product.images[0]?.url || '',
+            category: product.category,
+            mrp: product.mrp,
+            dmartPrice: product.dmartPrice,
+            discount: product.discount,
+            discountPercent: product.discountPercent,
+            quantity,
+            totalPrice: roundMoney(product.dmartPrice * quantity),
+            isVeg: product.isVeg,
+            rating: product.rating
+        });
+    }
+
+    const totalItems = products.reduce((sum, p) => sum + p.quantity, 0);
+    const subtotal = roundMoney(products.reduce((sum, p) => sum + p.totalPrice, 0));
+    const totalMRP = roundMoney(products.reduce((sum, p) => sum + p.mrp * p.quantity, 0));
+
+    let coupon = null;
+    let couponDiscount = 0;
+    if (couponCode) {
+        ({ coupon, discount: couponDiscount } = await evaluateCoupon(couponCode, { products, subtotal, userId }));
+    }
+
+    const deliveryFee = calculateDeliveryFee(subtotal - couponDiscount, settings);
+    const finalTotal = roundMoney(subtotal - couponDiscount + deliveryFee);
+
+    return {
+        products,
+        orderSummary: {
+            totalItems,
+            subtotal,
+            totalMRP,
+            totalSavings: roundMoney(totalMRP - subtotal + couponDiscount),
+            couponDiscount,
+            deliveryFee,
+            finalTotal
+        },
+        couponUsed: coupon
+            ? { code: coupon.code, discount: coupon.discountValue, discountType: coupon.discountType }
+            : {},
+        coupon
+    };
+};
+
+/**
+ * Compare a client-supplied summary with the server's.
+ *
+ * @returns {Array<{field: string, client: number, server: number}>}
+ */
+export const findPriceMismatches = (clientSummary, serverSummary) => {
+    if (!clientSummary) return [];
+
+    return SUMMARY_FIELDS
+        .filter(field => clientSummary[field] !== undefined)
+        .filter(field => !(Math.abs(Number(clientSummary[field]) - serverSummary[field]) <= PRICE_TOLERANCE))
+        .map(field => ({
+            field,
+            client: Number(clientSummary[field]),
+            server: serverSummary[field]
+        }));
+};
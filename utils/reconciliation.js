@@ -0,0 +1,134 @@
+import Transaction from '../models/Transaction.js';
+import { settlePayment } from './payments.js';
+import { findMatchedTid } from './paymentMatching.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Transactions a late bank credit can still settle
+const PAYABLE_STATUSES = ['pending', 'expired'];
+
+// Notes generated at checkout (s100-s999)
+const NOTE_PATTERN = /^s\d{3}$/;
+
+// Minutes either side of the credit time a payment may have been started
+const windowMs = () => (parseInt(process.env.RECONCILE_WINDOW_MINUTES) || 30) * 60 * 1000;
+
+// Lines without a time cover the whole (IST) day
+const creditRange = (credit) => ({
+    from: new Date(credit.date.getTime() - windowMs()),
+    to: new Date(credit.date.getTime() + (credit.hasTime ? 0 : DAY_MS) + windowMs())
+});
+
+const mentions = (credit, transaction) =>
+    credit.tokens.includes(transaction.tid.toLowerCase()) ||
+    Boolean(transaction.note && credit.tokens.includes(transaction.note.toLowerCase()));
+
+/**
+ * Find the payable transactions a credit line could belong to.
+ *
+ * A live unique-amount/note reservation decides it; failing that, a
+ * transaction whose tid or note appears in the narration wins outright;
+ * otherwise every transaction of the same amount started in the window is
+ * a candidate.
+ *
+ * @param {Object} credit - line from parseStatement
+ * @param {Set<string>} [claimed] - tids already matched earlier in the same file
+ * @param {string} [vpa] - merchant VPA the credit was received on
+ * @returns {Promise<Transaction[]>}
+ */
+export const findCandidates = async (credit, claimed = new Set(), vpa = null) => {
+    // A unique amount or note reserved at checkout identifies the payment outright
+    const matchedTid = await findMatchedTid({
+        amount: credit.amount,
+        notes: credit.tokens.filter(token => NOTE_PATTERN.test(token))
+    });
+
+    if (matchedTid && !claimed.has(matchedTid)) {
+        const matched = await Transaction.findOne({ tid: matchedTid, status: { $in: PAYABLE_STATUSES }, ...(vpa && { upi: vpa }) });
+        if (matched && Math.abs(matched.amount - credit.amount) <= 0.005) return [matched];
+    }
+
+    const { from, to } = creditRange(credit);
+
+    const transactions = await Transaction.find({
+        status: { $in: PAYABLE_STATUSES },
+        ...(vpa && { upi: vpa }),
+        amount: { $gte: credit.amount - 0.005, $lte: credit.amount + 0.005 },
+        createdAt: { $gte: from, $lte: to }
+    }).sort({ createdAt: 1 });
+
+    const open = transactions.filter(t => !claimed.has(t.tid));
+    const byNote = open.filter(t => mentions(credit, t));
+
+    return byNote.length > 0 ? byNote : open;
+};
+
+/**
+ * Mark a transaction paid from a statement credit and confirm its order.
+ *
+ * @returns {Promise<Transaction|null>} null when the transaction was no longer payable
+ */
+export const applyStatementCredit = (tid, credit, source = 'statement-import') => settlePayment(tid, 'success', {
+    source,
+    note: `Payment found on bank statement (line ${credit.lineNo})`,
+    fromStatuses: PAYABLE_STATUSES,
+    changes: {
+        completedAt: credit.date || new Date(),
+        ...(credit.reference && { upiRef: credit.reference })
+    }
+});
+
+/**
+ * Match parsed credit lines to payable transactions, applying the
+ * unambiguous ones unless `dryRun` is set.
+ *
+ * @param {Array} credits - from parseStatement
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @param {string} [options.vpa] - only match payments made to this merchant VPA
+ * @returns {Promise<Array>} one result line per credit
+ */
+export const reconcileCredits = async (credits, { dryRun = false, vpa = null } = {}) => {
+    const claimed = new Set();
+    const lines = [];
+
+    for (const credit of credits) {
+        const line = {
+            lineNo: credit.lineNo,
+            date: credit.date,
+            amount: credit.amount,
+            description: credit.description,
+            reference: credit.reference
+        };
+
+        // The same statement (or an overlapping one) uploaded again
+        if (credit.reference && await Transaction.exists({ upiRef: credit.reference })) {
+            lines.push({ ...line, result: 'duplicate' });
+            continue;
+        }
+
+        const candidates = await findCandidates(credit, claimed, vpa);
+
+        if (candidates.length === 0) {
+            lines.push({ ...line, result: 'unmatched' });
+            continue;
+        }
+
+        if (candidates.length > 1) {
+            lines.push({ ...line, result: 'ambiguous', candidates: candidates.map(t => t.tid) });
+            continue;
+        }
+
+        const [transaction] = candidates;
+        claimed.add(transaction.tid);
+
+        if (!dryRun && !await applyStatementCredit(transaction.tid, credit)) {
+            lines.push({ ...line, result: 'unmatched' });
+            continue;
+        }
+
+        lines.push({ ...line, result: 'matched', tid: transaction.tid });
+    }
+
+    return lines;
+};
@@ -0,0 +1,218 @@
+import Refund from '../models/Refund.js';
+import Transaction from '../models/Transaction.js';
+import Order from '../models/Order.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const refundError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Sum of refunds that have not failed, for a transaction or (when unpaid online) an order
+const refundedSoFar = async (match) => {
+    const result = await Refund.aggregate([
+        { $match: { ...match, status: { $ne: 'failed' } } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    return result[0]?.total || 0;
+};
+
+/*
+ * Refund amounts are reserved on the payment (its transaction, or the order
+ * when there is none) with a conditional $inc before the refund is created,
+ * so concurrent refunds cannot together pay out more than was received.
+ * A failed refund gives its reservation back.
+ */
+const reservationTarget = (transaction, order) => transaction
+    ? { Model: Transaction, _id: transaction._id, match: { transactionId: transaction._id } }
+    : { Model: Order, _id: order._id, match: { orderId: order._id, source: { $ne: 'duplicate_payment' } } };
+
+const reservedSoFar = async ({ Model, _id, match }) => {
+    // Payments refunded before reservations were kept start from their refunds
+    await Model.updateOne(
+        { _id, refundReservedAmount: { $exists: false } },
+        { refundReservedAmount: await refundedSoFar(match) }
+    );
+    const doc = await Model.findById(_id).select('refundReservedAmount');
+    return doc.refundReservedAmount;
+};
+
+const reserveRefund = async ({ Model, _id }, amount, paidAmount) => {
+    const reserved = await Model.updateOne(
+        { _id, $expr: { $lte: [{ $add: ['$refundReservedAmount', amount] }, paidAmount + 0.001] } },
+        { $inc: { refundReservedAmount: amount } }
+    );
+    return reserved.modifiedCount > 0;
+};
+
+const releaseReservation = ({ Model, _id }, amount) => Model.updateOne(
+    { _id },
+    { $inc: { refundReservedAmount: -amount } }
+);
+
+/**
+ * Open a refund against a payment. The amount is capped at what is still
+ * unrefunded so repeated calls cannot pay out more than was received.
+ *
+ * @param {Object} details
+ * @param {Object} [details.transaction] - the successful payment
+ * @param {Object} [details.order]
+ * @param {number} [details.amount] - defaults to everything still refundable
+ * @param {string} details.source - 'cancellation', 'return', 'manual' or 'duplicate_payment'
+ * @param {string} [details.reason]
+ * @param {string} [details.returnRequestId]
+ * @param {string} [details.initiatedBy] - admin username, or 'system'
+ * @param {string} [details.upiRef] - set when the money has already been sent
+ * @param {boolean} [details.capToRemaining] - clamp instead of rejecting an oversized amount
+ * @returns {Promise<Object|null>} the refund, or null if nothing is refundable
+ */
+export const openRefund = async ({
+    transaction = null,
+    order = null,
+    amount,
+    source,
+    reason,
+    returnRequestId = null,
+    initiatedBy = 'system',
+    upiRef,
+    capToRemaining = false
+}) => {
+    const paidAmount = transaction?.amount ?? order?.orderSummary.finalTotal ?? 0;
+    const target = reservationTarget(transaction, order);
+    let refundAmount = 0;
+
+    for (let attempt = 0; attempt < 3 && !refundAmount; attempt++) {
+        const remaining = roundMoney(paidAmount - await reservedSoFar(target));
+
+        if (amount !== undefined && amount > remaining && !capToRemaining) {
+            throw refundError(`Refund exceeds the refundable balance of ₹${remaining}`);
+        }
+
+        const candidate = roundMoney(Math.min(amount ?? remaining, remaining));
+        if (candidate <= 0) return null;
+
+        // Fails if another refund took part of the balance meanwhile; look again
+        if (await reserveRefund(target, candidate, paidAmount)) {
+            refundAmount = candidate;
+        }
+    }
+
+    if (!refundAmount) {
+        throw refundError('Refundable balance was changed by another request. Please retry.', 409);
+    }
+
+    let refund;
+    try {
+        refund = await Refund.create({
+            orderId: order?._id ?? transaction?.orderId ?? null,
+            transactionId: transaction?._id ?? null,
+            tid: transaction?.tid,
+            userId: order?.userId ?? transaction?.userId ?? null,
+            amount: refundAmount,
+            type: refundAmount >= paidAmount ? 'full' : 'partial',
+            source,
+            returnRequestId,
+            reason,
+            initiatedBy
+        });
+    } catch (error) {
+        await releaseReservation(target, refundAmount);
+        throw error;
+    }
+
+    console.log(`💸 Refund of ₹${refundAmount} opened${transaction ? ` for ${transaction.tid}` : ''} (${source})`);
+
+    if (upiRef) {
+        return markRefundProcessed(refund._id, { upiRef, processedBy: initiatedBy });
+    }
+    return refund;
+};
+
+/**
+ * Open a refund against the successful payment of an order. Duplicate
+ * payments are refunded on their own (see utils/payments.js) and never
+ * count here.
+ *
+ * @returns {Promise<Object|null>} the refund, or null if nothing was paid
+ */
+export const createRefundForOrder = async (order, details) => {
+    if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) return null;
+
+    // The payment that funded the order; any other successful attempt was a
+    // duplicate with its own refund. Orders paid before paidTid existed fall
+    // back to their first successful payment.
+    const transaction = order.paidTid
+        ? await Transaction.findOne({ tid: order.paidTid })
+        : await Transaction.findOne({ orderId: order._id, status: { $in: ['success', 'partially_refunded', 'refunded'] } })
+            .sort({ completedAt: 1 });
+
+    // Callers asking for more than is left get what is left
+    return openRefund({ ...details, transaction, order, capToRemaining: true });
+};
+
+/**
+ * Record that a refund's money has been sent, and roll the refunded total up
+ * to the transaction and order payment statuses.
+ */
+export const markRefundProcessed = async (refundId, { upiRef, processedBy }) => {
+    const refund = await Refund.findOneAndUpdate(
+        { _id: refundId, status: 'pending' },
+        { status: 'processed', upiRef, processedBy, processedAt: new Date() },
+        { new: true }
+    );
+
+    if (!refund) {
+        throw refundError('Pending refund not found', 404);
+    }
+
+    if (refund.transactionId) {
+        const transaction = await Transaction.findByIdAndUpdate(
+            refund.transactionId,
+            { $inc: { refundedAmount: refund.amount } },
+            { new: true }
+        );
+        const fullyRefunded = transaction.refundedAmount >= transaction.amount - 0.01;
+        transaction.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+        await transaction.save();
+    }
+
+    // Returning a duplicate payment leaves what the order itself was paid untouched
+    if (refund.orderId && refund.source !== 'duplicate_payment') {
+        const processed = await Refund.aggregate([
+            { $match: { orderId: refund.orderId, status: 'processed', source: { $ne: 'duplicate_payment' } } },
+            { $group: { _id: null, total: { $sum: '$amount' } } }
+        ]);
+        const order = await Order.findById(refund.orderId);
+
+        if (order) {
+            const fullyRefunded = (processed[0]?.total || 0) >= order.orderSummary.finalTotal - 0.01;
+            order.paymentStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+            await order.save();
+        }
+    }
+
+    console.log(`✅ Refund ${refund._id} processed (UPI ref ${upiRef})`);
+    return refund;
+};
+
+/**
+ * Record that a refund could not be paid out; its amount becomes refundable again.
+ */
+export const markRefundFailed = async (refundId, { reason, processedBy }) => {
+    const refund = await Refund.findOneAndUpdate(
+        { _id: refundId, status: 'pending' },
+        { status: 'failed', failureReason: reason, processedBy, processedAt: new Date() },
+        { new: true }
+    );
+
+    if (!refund) {
+        throw refundError('Pending refund not found', 404);
+    }
+
+    await releaseReservation(refund.transactionId
+        ? { Model: Transaction, _id: refund.transactionId }
+        : { Model: Order, _id: refund.orderId }, refund.amount);
+    return refund;
+};
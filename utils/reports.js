@@ -0,0 +1,248 @@
+import Transaction from '../models/Transaction.js';
+import Order from '../models/Order.js';
+import Refund from '../models/Refund.js';
+
+const TIMEZONE = 'Asia/Kolkata';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+
+// Bucket labels, in IST; weeks are ISO weeks (Monday to Sunday)
+const PERIOD_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%G-W%V',
+    month: '%Y-%m'
+};
+
+// Transaction fields a report can be broken down by
+const DIMENSIONS = {
+    payType: '$payType',
+    upi: '$upi',
+    status: '$status'
+};
+
+// Statuses of a payment whose money came in, whatever was refunded since
+const COLLECTED_STATUSES = ['success', 'refunded', 'partially_refunded'];
+
+export const REPORT_PERIODS = Object.keys(PERIOD_FORMATS);
+export const REPORT_DIMENSIONS = Object.keys(DIMENSIONS);
+
+const reportError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const bucket = (field, period) => ({
+    $dateToString: { format: PERIOD_FORMATS[period], date: field, timezone: TIMEZONE }
+});
+
+const sumIf = (condition, value = 1) => ({ $sum: { $cond: [condition, value, 0] } });
+
+/**
+ * Turn report query options into a validated range and bucket size.
+ * Days are IST calendar days; `to` is inclusive.
+ *
+ * @param {Object} query
+ * @param {string} [query.from] - 'YYYY-MM-DD', defaults to 30 days before `to`
+ * @param {string} [query.to] - 'YYYY-MM-DD', defaults to today
+ * @param {string} [query.period] - day, week or month
+ * @param {string} [query.groupBy] - comma-separated REPORT_DIMENSIONS
+ * @returns {{from: string, to: string, start: Date, end: Date, period: string, groupBy: string[]}}
+ *   `end` is the start of the day after `to`
+ */
+export const parseReportQuery = ({ from, to, period = 'day', groupBy = '' }) => {
+    const toDay = (value, name) => {
+        const date = new Date(`${value}T00:00:00+05:30`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date)) {
+            throw reportError(`${name} must be a date (YYYY-MM-DD)`);
+        }
+        return date;
+    };
+
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE }).format(new Date());
+    const lastDay = to || today;
+    const end = new Date(toDay(lastDay, 'to').getTime() + DAY_MS);
+    const start = from ? toDay(from, 'from') : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    const firstDay = from || new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE }).format(start);
+
+    if (start >= end) {
+        throw reportError('from must be on or before to');
+    }
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+        throw reportError(`At most ${MAX_RANGE_DAYS} days can be reported at once`);
+    }
+
+    if (!PERIOD_FORMATS[period]) {
+        throw reportError(`period must be one of: ${REPORT_PERIODS.join(', ')}`);
+    }
+
+    // Either a comma-separated list or the parameter repeated (?groupBy=a&groupBy=b)
+    const groupByValues = groupBy ? [groupBy].flat() : [];
+    if (!groupByValues.every(value => typeof value === 'string')) {
+        throw reportError(`groupBy must be a comma-separated list of: ${REPORT_DIMENSIONS.join(', ')}`);
+    }
+
+    const dimensions = [...new Set(groupByValues.flatMap(value => value.split(',')).map(d => d.trim()).filter(Boolean))];
+    const unknown = dimensions.filter(d => !DIMENSIONS[d]);
+    if (unknown.length > 0) {
+        throw reportError(`Cannot group by ${unknown.join(', ')}. Use: ${REPORT_DIMENSIONS.join(', ')}`);
+    }
+
+    return { from: firstDay, to: lastDay, start, end, period, groupBy: dimensions };
+};
+
+/**
+ * Payment attempts bucketed by the day/week/month they were started, and
+ * optionally by payType, merchant VPA and status.
+ *
+ * Refunds are netted against the payment they returned (its refundedAmount),
+ * so each row shows what that cohort of payments finally brought in. The
+ * success rate leaves out payments that are still pending.
+ *
+ * @returns {Promise<Array>} rows in period order
+ */
+export const buildTransactionReport = async ({ start, end, period, groupBy }) => {
+    const collected = { $in: ['$status', COLLECTED_STATUSES] };
+
+    const groups = await Transaction.aggregate([
+        { $match: { createdAt: { $gte: start, $lt: end } } },
+        {
+            $group: {
+                _id: {
+                    period: bucket('$createdAt', period),
+                    ...Object.fromEntries(groupBy.map(d => [d, DIMENSIONS[d]]))
+                },
+                attempts: { $sum: 1 },
+                pending: sumIf({ $eq: ['$status', 'pending'] }),
+                successful: sumIf(collected),
+                failed: sumIf({ $eq: ['$status', 'failed'] }),
+                expired: sumIf({ $eq: ['$status', 'expired'] }),
+                collected: sumIf(collected, '$amount'),
+                refunded: sumIf(collected, { $ifNull: ['$refundedAmount', 0] })
+            }
+        },
+        { $sort: { '_id.period': 1, ...Object.fromEntries(groupBy.map(d => [`_id.${d}`, 1])) } }
+    ]);
+
+    return groups.map(({ _id, attempts, pending, successful, failed, expired, collected: gross, refunded }) => {
+        const decided = attempts - pending;
+
+        return {
+            period: _id.period,
+            ...Object.fromEntries(groupBy.map(d => [d, _id[d] ?? null])),
+            attempts,
+            pending,
+            successful,
+            failed,
+            expired,
+            successRate: decided > 0 ? round(successful / decided * 100) : null,
+            collected: round(gross),
+            refunded: round(refunded),
+            net: round(gross - refunded),
+            averageTicket: successful > 0 ? round(gross / successful) : null
+        };
+    });
+};
+
+/**
+ * Money in and out per day/week/month: online payments by when they were
+ * made, cash on delivery by when the delivered order was placed, and
+ * refunds by when they were paid out.
+ *
+ * @returns {Promise<Array>} rows in period order
+ */
+export const buildRevenueReport = async ({ start, end, period }) => {
+    const [online, cod, refunds] = await Promise.all([
+        Transaction.aggregate([
+            { $match: { createdAt: { $gte: start, $lt: end }, status: { $in: COLLECTED_STATUSES } } },
+            { $group: { _id: bucket('$createdAt', period), count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+        ]),
+        Order.aggregate([
+            { $match: { createdAt: { $gte: start, $lt: end }, paymentMethod: 'cod', status: 'delivered' } },
+            { $group: { _id: bucket('$createdAt', period), count: { $sum: 1 }, amount: { $sum: '$orderSummary.finalTotal' } } }
+        ]),
+        Refund.aggregate([
+            { $match: { processedAt: { $gte: start, $lt: end }, status: 'processed' } },
+            {
+                $group: {
+                    _id: bucket('$processedAt', period),
+                    online: sumIf({ $ne: [{ $ifNull: ['$transactionId', null] }, null] }, '$amount'),
+                    cod: sumIf({ $eq: [{ $ifNull: ['$transactionId', null] }, null] }, '$amount')
+                }
+            }
+        ])
+    ]);
+
+    const byPeriod = (rows) => new Map(rows.map(row => [row._id, row]));
+    const onlineBy = byPeriod(online);
+    const codBy = byPeriod(cod);
+    const refundsBy = byPeriod(refunds);
+
+    const periods = [...new Set([...onlineBy.keys(), ...codBy.keys(), ...refundsBy.keys()])].sort();
+
+    return periods.map(key => {
+        const onlineRow = onlineBy.get(key) || { count: 0, amount: 0 };
+        const codRow = codBy.get(key) || { count: 0, amount: 0 };
+        const refundRow = refundsBy.get(key) || { online: 0, cod: 0 };
+
+        return {
+            period: key,
+            onlinePayments: onlineRow.count,
+            onlineCollected: round(onlineRow.amount),
+            onlineRefunded: round(refundRow.online),
+            codOrders: codRow.count,
+            codCollected: round(codRow.amount),
+            codRefunded: round(refundRow.cod),
+            net: round(onlineRow.amount + codRow.amount - refundRow.online - refundRow.cod)
+        };
+    });
+};
+
+/**
+ * Add up the numeric columns of report rows. Rates and averages are
+ * recomputed from the sums rather than added.
+ */
+export const totalReport = (rows) => {
+    const totals = {};
+
+    for (const row of rows) {
+        for (const [key, value] of Object.entries(row)) {
+            if (typeof value === 'number' && key !== 'successRate' && key !== 'averageTicket') {
+                totals[key] = round((totals[key] || 0) + value);
+            }
+        }
+    }
+
+    if ('attempts' in totals) {
+        const decided = totals.attempts - totals.pending;
+        totals.successRate = decided > 0 ? round(totals.successful / decided * 100) : null;
+        totals.averageTicket = totals.successful > 0 ? round(totals.collected / totals.successful) : null;
+    }
+
+    return totals;
+};
+
+// Quote a CSV cell; text that a spreadsheet would run as a formula is prefixed
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render report rows as CSV, with a header row from the first row's keys.
+ */
+export const toCsv = (rows) => {
+    if (rows.length === 0) return '';
+
+    const columns = Object.keys(rows[0]);
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\r\n') + '\r\n';
+};
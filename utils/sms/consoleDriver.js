@@ -0,0 +1,10 @@
+// Development driver: prints outgoing SMS to the server console
+const consoleDriver = {
+    name: 'console',
+    send: async (phone, message) => {
+        console.log(`📨 SMS to ${phone}: ${message}`);
+        return { delivered: true };
+    }
+};
+
+export default consoleDriver;
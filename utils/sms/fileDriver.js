@@ -0,0 +1,17 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Development driver: appends outgoing SMS to a log file (SMS_LOG_FILE)
+const fileDriver = {
+    name: 'file',
+    send: async (phone, message) => {
+        const logFile = process.env.SMS_LOG_FILE || path.join('logs', 'sms.log');
+
+        await fs.mkdir(path.dirname(logFile), { recursive: true });
+        await fs.appendFile(logFile, `${new Date().toISOString()}\t${phone}\t${message}\n`);
+
+        return { delivered: true };
+    }
+};
+
+export default fileDriver;
@@ -0,0 +1,50 @@
+import consoleDriver from './consoleDriver.js';
+import fileDriver from './fileDriver.js';
+
+/**
+ * SMS drivers implement `send(phone, message)` and resolve once the
+ * provider has accepted the message. The active driver is chosen by
+ * the SMS_DRIVER env var, which production must set; production
+ * providers register themselves with `registerSmsDriver` before the
+ * first send.
+ */
+const drivers = new Map();
+
+export const registerSmsDriver = (driver) => {
+    if (!driver?.name || typeof driver.send !== 'function') {
+        throw new Error('SMS driver must have a name and a send(phone, message) function');
+    }
+    drivers.set(driver.name, driver);
+};
+
+// Printing login OTPs to the server log is only acceptable outside production
+const smsDriverName = () => process.env.SMS_DRIVER ||
+    (process.env.NODE_ENV === 'production' ? null : 'console');
+
+/**
+ * Fail at startup rather than at the first OTP when production has no SMS
+ * driver configured. Only the name is checked, as providers may register
+ * themselves later.
+ */
+export const assertSmsConfigured = () => {
+    if (!smsDriverName()) {
+        throw new Error('SMS_DRIVER must be set in production');
+    }
+};
+
+export const getSmsDriver = () => {
+    assertSmsConfigured();
+
+    const name = smsDriverName();
+    const driver = drivers.get(name);
+
+    if (!driver) {
+        throw new Error(`Unknown SMS driver: ${name}`);
+    }
+    return driver;
+};
+
+export const sendSms = (phone, message) => getSmsDriver().send(phone, message);
+
+registerSmsDriver(consoleDriver);
+registerSmsDriver(fileDriver);
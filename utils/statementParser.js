@@ -0,0 +1,230 @@
+/*
+ * Bank/UPI statement parser. Accepts CSV or TSV text (including the
+ * "XLS" downloads most Indian banks produce, which are delimited text or
+ * an HTML table) and returns the credit lines.
+ */
+
+const HEADER_ALIASES = {
+    date: ['txn date', 'transaction date', 'tran date', 'date', 'value date', 'value dt', 'posting date'],
+    description: ['description', 'narration', 'particulars', 'remarks', 'transaction remarks', 'details', 'transaction details'],
+    reference: ['chq/ref no', 'chq./ref.no.', 'ref no', 'ref no./cheque no.', 'reference no', 'reference', 'utr', 'utr no', 'cheque no', 'chq no', 'transaction id'],
+    credit: ['credit', 'deposit', 'deposits', 'credit amount', 'deposit amt', 'deposit amt.', 'cr amount', 'credit(inr)', 'credit amt'],
+    debit: ['debit', 'withdrawal', 'withdrawals', 'debit amount', 'withdrawal amt', 'withdrawal amt.', 'dr amount', 'debit(inr)', 'debit amt'],
+    amount: ['amount', 'amount(inr)', 'transaction amount', 'txn amount'],
+    type: ['cr/dr', 'dr/cr', 'type', 'transaction type', 'dr / cr']
+};
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+const normalizeHeader = (value) => value.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Binary .xls/.xlsx files cannot be read as text
+const isBinarySpreadsheet = (buffer) => {
+    const signature = buffer.subarray(0, 4).toString('hex');
+    return signature === 'd0cf11e0' || signature === '504b0304';
+};
+
+const detectDelimiter = (text) => {
+    const sample = text.split(/\r?\n/).slice(0, 30).join('\n');
+    const counts = [',', '\t', ';', '|'].map(d => [d, sample.split(d).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// RFC 4180 style: quoted fields may contain delimiters, quotes ("") and newlines
+const parseDelimited = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field.trim());
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field.trim());
+        rows.push(row);
+    }
+    return rows;
+};
+
+const decodeEntities = (value) => value
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+
+const parseHtmlTable = (html) => {
+    const rows = [];
+    for (const [, rowHtml] of html.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)) {
+        const cells = [...rowHtml.matchAll(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/gi)]
+            .map(([, cell]) => decodeEntities(cell.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim());
+        rows.push(cells);
+    }
+    return rows;
+};
+
+// The header is the first row naming a date column and some amount column
+const findHeader = (rows) => {
+    for (let index = 0; index < Math.min(rows.length, 50); index++) {
+        const headers = rows[index].map(normalizeHeader);
+        const columns = {};
+
+        for (const [key, aliases] of Object.entries(HEADER_ALIASES)) {
+            const column = headers.findIndex(h => aliases.includes(h));
+            if (column !== -1) columns[key] = column;
+        }
+
+        if (columns.date !== undefined && (columns.credit !== undefined || columns.amount !== undefined)) {
+            return { index, columns };
+        }
+    }
+    return null;
+};
+
+export const parseAmount = (value) => {
+    if (!value) return 0;
+    const cleaned = value.replace(/[₹,\s]|INR|Rs\.?/gi, '').replace(/(cr|dr)$/i, '');
+    const amount = parseFloat(cleaned);
+    return isNaN(amount) ? 0 : Math.round(amount * 100) / 100;
+};
+
+/**
+ * Parse a statement date as Indian Standard Time.
+ *
+ * @returns {{date: Date, hasTime: boolean}|null}
+ */
+export const parseStatementDate = (value) => {
+    if (!value) return null;
+    const text = value.trim();
+    let year;
+    let month;
+    let day;
+    let match;
+
+    if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+        [year, month, day] = [+match[1], +match[2] - 1, +match[3]];
+    } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/))) {
+        [day, month, year] = [+match[1], +match[2] - 1, +match[3]];
+    } else if ((match = text.match(/^(\d{1,2})[\s/-]([A-Za-z]{3})[A-Za-z]*[\s/-](\d{2,4})/))) {
+        [day, month, year] = [+match[1], MONTHS[match[2].toLowerCase()], +match[3]];
+    } else {
+        return null;
+    }
+
+    if (month === undefined || month < 0 || month > 11) return null;
+    if (year < 100) year += 2000;
+
+    const time = text.slice(match[0].length).match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?/i);
+    let hours = 0;
+    let minutes = 0;
+    let seconds = 0;
+
+    if (time) {
+        hours = +time[1];
+        if (time[4]) hours = hours % 12 + (time[4].toLowerCase() === 'pm' ? 12 : 0);
+        minutes = +time[2];
+        seconds = +(time[3] || 0);
+    }
+
+    // IST is UTC+05:30
+    const date = new Date(Date.UTC(year, month, day, hours, minutes, seconds) - 330 * 60 * 1000);
+    return isNaN(date.getTime()) ? null : { date, hasTime: Boolean(time) };
+};
+
+/**
+ * Pull the UPI reference (12-digit UTR) and free-text tokens out of a
+ * narration such as `UPI/CR/412345678901/RAHUL/SBIN/rahul@okaxis/s123`.
+ */
+export const parseNarration = (description = '') => {
+    const utr = description.match(/(?<!\d)\d{12}(?!\d)/)?.[0] || null;
+    const tokens = description.toLowerCase().split(/[^a-z0-9@.]+/).filter(Boolean);
+    return { utr, tokens };
+};
+
+/**
+ * Parse an uploaded statement.
+ *
+ * @param {Buffer} buffer
+ * @returns {{credits: Array, skipped: number}} credit lines and count of non-credit rows
+ */
+export const parseStatement = (buffer) => {
+    if (isBinarySpreadsheet(buffer)) {
+        const error = new Error('Binary Excel files are not supported. Please export the statement as CSV.');
+        error.status = 400;
+        throw error;
+    }
+
+    const text = buffer.toString('utf8').replace(/^﻿/, '');
+    const rows = /<table/i.test(text) ? parseHtmlTable(text) : parseDelimited(text, detectDelimiter(text));
+    const header = findHeader(rows);
+
+    if (!header) {
+        const error = new Error('Could not find a header row with date and credit/amount columns');
+        error.status = 400;
+        throw error;
+    }
+
+    const { index, columns } = header;
+    const credits = [];
+    let skipped = 0;
+
+    rows.slice(index + 1).forEach((row, offset) => {
+        const lineNo = index + offset + 2;
+        const parsedDate = parseStatementDate(row[columns.date]);
+
+        let amount = 0;
+        if (columns.credit !== undefined) {
+            amount = parseAmount(row[columns.credit]);
+        } else {
+            const type = (row[columns.type] || row[columns.amount] || '').toLowerCase();
+            amount = /cr|credit|c$/.test(type) ? parseAmount(row[columns.amount]) : 0;
+        }
+
+        if (!parsedDate || amount <= 0) {
+            skipped++;
+            return;
+        }
+
+        const description = row[columns.description] || '';
+        const { utr, tokens } = parseNarration(description);
+
+        credits.push({
+            lineNo,
+            date: parsedDate.date,
+            hasTime: parsedDate.hasTime,
+            amount,
+            description,
+            reference: utr || row[columns.reference] || null,
+            tokens
+        });
+    });
+
+    return { credits, skipped };
+};
@@ -0,0 +1,98 @@
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+
+/*
+ * Stock moves with the order lifecycle:
+ *   reserved  - decremented when the order is placed
+ *   committed - payment succeeded, the units are sold
+ *   released  - order cancelled or payment failed/expired, units returned
+ *
+ * Product updates use update pipelines so `inStock` is recomputed in the
+ * same atomic write (the pre-save hook does not run on findOneAndUpdate).
+ */
+
+const adjustStock = (productId, delta, filter = {}) => {
+    return Product.findOneAndUpdate(
+        { id: productId, ...filter },
+        [
+            { $set: { stockQuantity: { $add: ['$stockQuantity', delta] } } },
+            { $set: { inStock: { $gt: ['$stockQuantity', 0] } } }
+        ],
+        { new: true }
+    );
+};
+
+const restock = async (items) => {
+    for (const item of items) {
+        await adjustStock(item.productId, item.quantity);
+    }
+};
+
+/**
+ * Atomically take stock for every line item. Either all items are reserved
+ * or none are: a shortfall on any item rolls back the ones already taken.
+ *
+ * @param {Array<{productId: string, name: string, quantity: number}>} items
+ */
+export const reserveStock = async (items) => {
+    const reserved = [];
+
+    for (const item of items) {
+        const updated = await adjustStock(item.productId, -item.quantity, {
+            status: 'active',
+            stockQuantity: { $gte: item.quantity }
+        });
+
+        if (!updated) {
+            await restock(reserved);
+
+            const error = new Error(`Insufficient stock for ${item.name}`);
+            error.status = 409;
+            throw error;
+        }
+        reserved.push(item);
+    }
+};
+
+// Return stock for items that were reserved but never ordered
+export const releaseStock = restock;
+
+/**
+ * Return an order's units to the shelf. The order's stockStatus is flipped
+ * first so that concurrent callers (poller, webhook, admin) release once.
+ *
+ * @param {string} orderId
+ * @param {string[]} fromStatuses - stock states the release applies to
+ * @returns {Promise<boolean>} whether stock was released
+ */
+export const releaseOrderStock = async (orderId, fromStatuses = ['reserved']) => {
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, stockStatus: { $in: fromStatuses } },
+        { stockStatus: 'released' }
+    );
+
+    if (!order) return false;
+
+    await restock(order.products);
+    console.log(`📦 Stock released for order ${order.orderNumber}`);
+    return true;
+};
+
+/**
+ * Mark an order's reserved units as sold.
+ *
+ * @param {string} orderId
+ * @returns {Promise<boolean>} whether the reservation was committed
+ */
+export const commitOrderStock = async (orderId) => {
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, stockStatus: 'reserved' },
+        { stockStatus: 'committed' }
+    );
+
+    if (!order) {
+        console.warn(`⚠️ No stock reservation to commit for order ${orderId}`);
+        return false;
+    }
+    return true;
+};
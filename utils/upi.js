@@ -0,0 +1,33 @@
+/**
+ * Build the query string of a UPI intent (NPCI deep-link spec), for use
+ * behind `upi://pay` or an app-specific scheme.
+ *
+ * @param {Object} params
+ * @param {string} params.vpa - payee VPA (pa)
+ * @param {string} [params.payeeName] - payee name shown in the app (pn)
+ * @param {number} params.amount - rupees (am)
+ * @param {string} [params.note] - transaction note (tn)
+ * @param {string} [params.transactionRef] - merchant reference (tr)
+ * @returns {string} ?pa=...&am=... query
+ */
+export const buildUpiQuery = ({ vpa, payeeName, amount, note, transactionRef }) => {
+    const params = new URLSearchParams({
+        pa: vpa,
+        pn: payeeName || vpa,
+        am: Number(amount).toFixed(2),
+        cu: 'INR'
+    });
+
+    if (note) params.set('tn', note);
+    if (transactionRef) params.set('tr', transactionRef);
+
+    // UPI apps expect %20 rather than + for spaces and a literal @ in VPAs
+    return `?${params.toString().replace(/\+/g, '%20').replace(/%40/g, '@')}`;
+};
+
+/**
+ * Build a generic UPI intent that any UPI app can open or scan.
+ *
+ * @returns {string} upi://pay?... link
+ */
+export const buildUpiIntent = (params) => `upi://pay${buildUpiQuery(params)}`;
@@ -0,0 +1,18 @@
+import { buildUpiQuery } from '../upi.js';
+
+// Amazon Pay: UPI intent pinned to the Amazon shopping app on Android
+const amazonpay = {
+    name: 'amazonpay',
+    label: 'Amazon Pay',
+    aliases: ['amazon', 'amazon_pay'],
+    buildLinks: (params) => {
+        const query = buildUpiQuery(params);
+
+        return {
+            androidUrl: `intent://pay${query}#Intent;scheme=upi;package=in.amazon.mShop.android.shopping;end`,
+            iosUrl: `amazonpay://upi/pay${query}`
+        };
+    }
+};
+
+export default amazonpay;
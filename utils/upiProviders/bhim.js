@@ -0,0 +1,17 @@
+import { buildUpiQuery } from '../upi.js';
+
+// BHIM: UPI intent pinned to the BHIM package on Android
+const bhim = {
+    name: 'bhim',
+    label: 'BHIM',
+    buildLinks: (params) => {
+        const query = buildUpiQuery(params);
+
+        return {
+            androidUrl: `intent://pay${query}#Intent;scheme=upi;package=in.org.npci.upiapp;end`,
+            iosUrl: `bhim://upi/pay${query}`
+        };
+    }
+};
+
+export default bhim;
@@ -0,0 +1,18 @@
+import { buildUpiIntent } from '../upi.js';
+
+// Any UPI app: the OS shows an app chooser for upi://pay
+const generic = {
+    name: 'upi',
+    label: 'Any UPI app',
+    aliases: ['any', 'generic'],
+    buildLinks: (params) => {
+        const intent = buildUpiIntent(params);
+
+        return {
+            androidUrl: intent,
+            iosUrl: intent
+        };
+    }
+};
+
+export default generic;
@@ -0,0 +1,18 @@
+import { buildUpiQuery } from '../upi.js';
+
+// Google Pay: tez:// on Android, gpay:// on iOS
+const gpay = {
+    name: 'gpay',
+    label: 'Google Pay',
+    aliases: ['googlepay', 'google_pay', 'tez'],
+    buildLinks: (params) => {
+        const query = buildUpiQuery(params);
+
+        return {
+            androidUrl: `tez://upi/pay${query}`,
+            iosUrl: `gpay://upi/pay${query}`
+        };
+    }
+};
+
+export default gpay;
@@ -0,0 +1,57 @@
+import phonepe from './phonepe.js';
+import paytm from './paytm.js';
+import gpay from './gpay.js';
+import bhim from './bhim.js';
+import amazonpay from './amazonpay.js';
+import generic from './generic.js';
+import { encodePayload } from './payload.js';
+
+/**
+ * UPI app providers turn a payment into app-specific deep links.
+ * A provider is `{ name, label, aliases?, buildLinks(params) }` where
+ * `buildLinks({ vpa, payeeName, amount, note, transactionRef })` returns
+ * `{ androidUrl, iosUrl, payloadB64? }`. Supporting a new app means
+ * registering a provider here.
+ */
+const providers = new Map();
+const aliases = new Map();
+
+export const registerUpiProvider = (provider) => {
+    if (!provider?.name || typeof provider.buildLinks !== 'function') {
+        throw new Error('UPI provider must have a name and a buildLinks(params) function');
+    }
+
+    providers.set(provider.name, provider);
+    for (const alias of provider.aliases || []) {
+        aliases.set(alias, provider.name);
+    }
+};
+
+export const getUpiProvider = (name) => {
+    const key = name?.toLowerCase().trim();
+    return providers.get(key) || providers.get(aliases.get(key)) || null;
+};
+
+export const hasUpiProvider = (name) => providers.has(name);
+
+export const listUpiProviders = () => [...providers.values()].map(({ name, label }) => ({ name, label }));
+
+/**
+ * Build a provider's links, filling in the default signed payload
+ * (`{ redirect, tid, exp }`) for providers that do not define their own.
+ */
+export const buildPaymentLinks = (provider, params, { tid, expires }) => {
+    const links = provider.buildLinks(params);
+
+    return {
+        ...links,
+        payloadB64: links.payloadB64 || encodePayload({ redirect: links.androidUrl, tid, exp: expires })
+    };
+};
+
+registerUpiProvider(phonepe);
+registerUpiProvider(paytm);
+registerUpiProvider(gpay);
+registerUpiProvider(bhim);
+registerUpiProvider(amazonpay);
+registerUpiProvider(generic);
@@ -0,0 +1,2 @@
+// Base64 JSON payload returned to the client and signed by the controller
+export const encodePayload = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64');
@@ -0,0 +1,28 @@
+// Paytm: money-transfer deep link on Android, UPI pay link on iOS
+const paytm = {
+    name: 'paytm',
+    label: 'Paytm',
+    buildLinks: ({ vpa, amount, note }) => {
+        const queryParams = new URLSearchParams({
+            pa: vpa,
+            am: amount,
+            tn: note,
+            pn: vpa,
+            mc: '',
+            cu: 'INR',
+            url: '',
+            mode: '',
+            purpose: '',
+            orgid: '',
+            sign: '',
+            featuretype: 'money_transfer'
+        });
+
+        return {
+            androidUrl: `paytmmp://cash_wallet?${queryParams.toString()}`,
+            iosUrl: `paytm://pay?${queryParams.toString()}`
+        };
+    }
+};
+
+export default paytm;
@@ -0,0 +1,33 @@
+import { encodePayload } from './payload.js';
+
+// PhonePe: native P2P checkout payload on Android, UPI intent on iOS
+const phonepe = {
+    name: 'phonepe',
+    label: 'PhonePe',
+    buildLinks: ({ vpa, amount, note }) => {
+        const payloadB64 = encodePayload({
+            contact: {
+                cbsName: "",
+                nickName: "",
+                vpa: vpa,
+                type: "VPA"
+            },
+            p2pPaymentCheckoutParams: {
+                note: note,
+                isByDefaultKnownContact: true,
+                initialAmount: Math.round(amount * 100),
+                currency: "INR",
+                checkoutType: "DEFAULT",
+                transactionContext: "p2p"
+            }
+        });
+
+        return {
+            androidUrl: `phonepe://native?data=${encodeURIComponent(payloadB64)}&id=p2ppayment`,
+            iosUrl: `phonepe://pay?pa=${encodeURIComponent(vpa)}&pn=Merchant&am=${amount}&tn=${encodeURIComponent(note)}&cu=INR`,
+            payloadB64
+        };
+    }
+};
+
+export default phonepe;
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import WebhookNonce from '../models/WebhookNonce.js';
+
+// Seconds a delivery's timestamp may differ from our clock
+const toleranceSeconds = () => parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+/**
+ * Shared secret for payment signatures and webhooks. There is deliberately
+ * no fallback: a guessable default would let anyone forge payments.
+ */
+export const getMerchantSecret = () => {
+    const secret = process.env.MERCHANT_SECRET;
+    if (!secret) {
+        const error = new Error('MERCHANT_SECRET is not configured');
+        error.status = 500;
+        throw error;
+    }
+    return secret;
+};
+
+export const signWebhook = (secret, timestamp, rawBody) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+/**
+ * Check a delivery's timestamp and its HMAC-SHA256 signature over
+ * `<timestamp>.<raw body>`.
+ *
+ * @returns {string|null} rejection reason, or null if the delivery is authentic
+ */
+export const verifyWebhookSignature = ({ secret, timestamp, signature, rawBody }) => {
+    if (!timestamp || !signature || !rawBody) {
+        return 'Missing signature, timestamp or body';
+    }
+
+    const sentAt = parseInt(timestamp);
+    if (isNaN(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > toleranceSeconds()) {
+        return 'Timestamp outside the allowed window';
+    }
+
+    const expected = Buffer.from(signWebhook(secret, timestamp, rawBody), 'hex');
+    const received = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return 'Invalid signature';
+    }
+
+    return null;
+};
+
+/**
+ * Record an event id as seen.
+ *
+ * @returns {Promise<boolean>} false if the event was already delivered
+ */
+export const claimWebhookEvent = async (eventId) => {
+    try {
+        await WebhookNonce.create({
+            eventId,
+            expiresAt: new Date(Date.now() + toleranceSeconds() * 2 * 1000)
+        });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+// Let a delivery that failed part-way be retried with the same event id
+export const releaseWebhookEvent = (eventId) => WebhookNonce.deleteOne({ eventId });